@@ -9,41 +9,98 @@ const BACKUP_REMIND_DAYS = 3; // remind if days since last export >= this
 
 // Secondary backup storage (IndexedDB) to reduce accidental resets on some browsers.
 const IDB_DB = "stockledger_db_v1";
+const IDB_VERSION = 4;
 const IDB_STORE = "kv";
+const IDB_PRICE_STORE = "price_history"; // key "TW|2330" -> [{date, open, high, low, close}]
+const IDB_SNAPSHOT_STORE = "snapshots"; // key "YYYY-MM-DD HH:mm:ss|source|v1" -> raw ledger JSON before a schema migration
+const IDB_CHANGELOG_STORE = "changelog"; // append-only, auto seq -> {seq, at, op, label, changes:[{id, before, after}], undoOf?, redoOf?}
 function idbOpen(){
   return new Promise((resolve,reject)=>{
     try{
-      const req = indexedDB.open(IDB_DB, 1);
+      const req = indexedDB.open(IDB_DB, IDB_VERSION);
       req.onupgradeneeded = () => {
         const db = req.result;
         if(!db.objectStoreNames.contains(IDB_STORE)){
           db.createObjectStore(IDB_STORE);
         }
+        if(!db.objectStoreNames.contains(IDB_PRICE_STORE)){
+          db.createObjectStore(IDB_PRICE_STORE);
+        }
+        if(!db.objectStoreNames.contains(IDB_SNAPSHOT_STORE)){
+          db.createObjectStore(IDB_SNAPSHOT_STORE);
+        }
+        if(!db.objectStoreNames.contains(IDB_CHANGELOG_STORE)){
+          db.createObjectStore(IDB_CHANGELOG_STORE, {keyPath:"seq", autoIncrement:true});
+        }
       };
       req.onsuccess = () => resolve(req.result);
       req.onerror = () => reject(req.error);
     }catch(err){ reject(err); }
   });
 }
-async function idbGet(key){
+async function idbGet(key, storeName=IDB_STORE){
   const db = await idbOpen();
   return new Promise((resolve,reject)=>{
     try{
-      const tx = db.transaction(IDB_STORE, "readonly");
-      const store = tx.objectStore(IDB_STORE);
+      const tx = db.transaction(storeName, "readonly");
+      const store = tx.objectStore(storeName);
       const req = store.get(key);
       req.onsuccess = () => resolve(req.result ?? null);
       req.onerror = () => reject(req.error);
     }catch(err){ reject(err); }
   });
 }
-async function idbSet(key, value){
+async function idbSet(key, value, storeName=IDB_STORE){
   const db = await idbOpen();
   return new Promise((resolve,reject)=>{
     try{
-      const tx = db.transaction(IDB_STORE, "readwrite");
-      const store = tx.objectStore(IDB_STORE);
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
       const req = store.put(value, key);
+      // resolve once committed: a quota error can still abort the transaction after the put succeeded
+      tx.oncomplete = () => resolve(true);
+      tx.onabort = () => reject(tx.error || req.error);
+      req.onerror = () => reject(req.error);
+    }catch(err){ reject(err); }
+  });
+}
+async function idbKeys(storeName=IDB_STORE){
+  const db = await idbOpen();
+  return new Promise((resolve,reject)=>{
+    try{
+      const req = db.transaction(storeName, "readonly").objectStore(storeName).getAllKeys();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    }catch(err){ reject(err); }
+  });
+}
+// stores with a keyPath: add() assigns the key
+async function idbAdd(value, storeName){
+  const db = await idbOpen();
+  return new Promise((resolve,reject)=>{
+    try{
+      const req = db.transaction(storeName, "readwrite").objectStore(storeName).add(value);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }catch(err){ reject(err); }
+  });
+}
+async function idbGetAll(storeName){
+  const db = await idbOpen();
+  return new Promise((resolve,reject)=>{
+    try{
+      const req = db.transaction(storeName, "readonly").objectStore(storeName).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    }catch(err){ reject(err); }
+  });
+}
+async function idbDelete(key, storeName=IDB_STORE){
+  const db = await idbOpen();
+  return new Promise((resolve,reject)=>{
+    try{
+      const tx = db.transaction(storeName, "readwrite");
+      const req = tx.objectStore(storeName).delete(key);
       req.onsuccess = () => resolve(true);
       req.onerror = () => reject(req.error);
     }catch(err){ reject(err); }
@@ -101,18 +158,103 @@ function marketToCurrency(m){ return m==="TW" ? "TWD" : "USD"; }
 function uuid(){
   return (crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(16).slice(2)}`);
 }
-function defaultLedger(){ return {version:1, lots:[]}; }
+// ---------------- Schema versions ----------------
+// ledger.version is the schema version. LEDGER_MIGRATIONS[i] upgrades version i+1 → i+2;
+// steps run in order on load and on JSON import. A ledger written by a newer app is never written back.
+const LEDGER_MIGRATIONS = [
+  // 1 → 2: accounts, the fee breakdown and DIVIDEND / ACTION records were added as optional fields.
+  // Make them explicit so later steps can rely on them.
+  function toV2(obj){
+    obj.lots = (Array.isArray(obj.lots) ? obj.lots : []).filter(r => r && typeof r==="object");
+    for(const r of obj.lots){
+      if(r.id==null || r.id==="") r.id = uuid();
+      if(r.type!=="ACTION" && !r.account) r.account = DEFAULT_ACCOUNT;
+      if(isTradeType(r.type)){
+        r.fee = toNumber(r.fee, 0);
+        r.tax = toNumber(r.tax, 0);
+        if(r.market==="US"){ r.secFee = toNumber(r.secFee, 0); r.taf = toNumber(r.taf, 0); }
+      }
+    }
+    obj.accounts = Array.isArray(obj.accounts) ? obj.accounts : [];
+    obj.settings = (obj.settings && typeof obj.settings==="object") ? obj.settings : {};
+    return obj;
+  }
+];
+const LEDGER_VERSION = LEDGER_MIGRATIONS.length + 1;
+
+// set when the stored ledger is newer than this app: the app shows nothing and saveLedger refuses to write
+let ledgerTooNew = null;
+
+// bumped whenever the stored ledger or a price history changes; keys derived data cached across renders
+let dataVersion = 0;
+let ledgerRawSeen = null;
+
+function ledgerVersionOf(obj){
+  const v = Math.floor(toNumber(obj?.version, 1));
+  return v>=1 ? v : 1;
+}
+
+// Upgrade a parsed ledger in place. Returns {ledger, from, to}; throws (err.code "LEDGER_TOO_NEW")
+// for a ledger written by a newer app version.
+function migrateLedger(obj){
+  const from = ledgerVersionOf(obj);
+  if(from > LEDGER_VERSION){
+    const err = new Error(`這份資料是較新版本的 App 建立的（資料版本 ${from}，目前只支援到 ${LEDGER_VERSION}），請先更新 App。`);
+    err.code = "LEDGER_TOO_NEW";
+    throw err;
+  }
+  let next = obj;
+  for(let v=from; v<LEDGER_VERSION; v++){
+    next = LEDGER_MIGRATIONS[v-1](next) || next;
+    next.version = v+1;
+  }
+  next.lots = Array.isArray(next.lots) ? next.lots : [];
+  return {ledger: next, from, to: LEDGER_VERSION};
+}
+
+// raw ledger JSON before a migration; resolves false when IndexedDB refused it
+async function saveMigrationSnapshot(raw, from, source){
+  try{
+    await idbSet(`${nowTS()}|${source}|v${from}`, raw, IDB_SNAPSHOT_STORE);
+    return true;
+  }catch(_){
+    return false;
+  }
+}
+
+// the stored ledger was migrated in memory only: {raw, from}. persistLedgerMigration (init) writes it
+// back once the snapshot is stored; until then the original stays in localStorage and writes are refused.
+let pendingMigration = null;
+
+function openStoredLedger(raw, source){
+  let res;
+  try{
+    res = migrateLedger(JSON.parse(raw));
+  }catch(err){
+    if(err?.code!=="LEDGER_TOO_NEW") throw err;
+    ledgerTooNew = err.message;
+    return defaultLedger();
+  }
+  if(res.from!==res.to){
+    // a legacy key keeps its own copy: snapshot it on the side
+    if(source==="load") pendingMigration = {raw, from: res.from};
+    else saveMigrationSnapshot(raw, res.from, source);
+  }
+  return res.ledger;
+}
+
+function defaultLedger(){ return {version:LEDGER_VERSION, lots:[]}; }
 
 function loadLedger(){
+  ledgerTooNew = null;
   try{
     const raw = localStorage.getItem(STORAGE_KEY);
-    if(raw){
-      const obj = JSON.parse(raw);
-      obj.lots = Array.isArray(obj.lots) ? obj.lots : [];
-      return obj;
-    }
+    // refreshHoldings reloads after every action; only a different stored ledger invalidates the caches
+    if(raw===null || raw!==ledgerRawSeen){ ledgerRawSeen = raw; dataVersion++; }
+    if(raw) return openStoredLedger(raw, "load");
 
-    // scan legacy keys (same browser) to avoid "version changed → looks empty"
+    // scan legacy keys (same browser) to avoid "version changed → looks empty";
+    // take the most recently saved ledger (lots count breaks ties)
     let best = null;
     for(let i=0;i<localStorage.length;i++){
       const k = localStorage.key(i);
@@ -123,16 +265,19 @@ function loadLedger(){
       if(!v) continue;
       try{
         const o = JSON.parse(v);
-        const lots = Array.isArray(o?.lots) ? o.lots : [];
-        if(lots.length>0 && (!best || lots.length>best.lots.length)){
-          best = {k, obj:{...o, lots}};
+        const n = Array.isArray(o?.lots) ? o.lots.length : 0;
+        if(n===0) continue;
+        const saved = String(o.lastSaved||"");
+        if(!best || saved>best.saved || (saved===best.saved && n>best.n)){
+          best = {k, raw:v, saved, n};
         }
       }catch(_){}
     }
     if(best){
       // migrate once
-      try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(best.obj)); }catch(_){}
-      return best.obj;
+      const obj = openStoredLedger(best.raw, "legacy:" + best.k);
+      if(!ledgerTooNew){ try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(obj)); }catch(_){} }
+      return obj;
     }
 
     return defaultLedger();
@@ -141,85 +286,1320 @@ function loadLedger(){
   }
 }
 function saveLedger(ledger){
+  if(ledgerTooNew) throw new Error(ledgerTooNew + "\n為避免損壞資料，目前不會寫入任何變更。");
+  if(pendingMigration) throw new Error(MIGRATION_PENDING_MSG);
+  dataVersion++;
+  ledger.version = LEDGER_VERSION;
   try{
     ledger.lastSaved = nowTS();
   }catch(_){}
   const raw = JSON.stringify(ledger);
   localStorage.setItem(STORAGE_KEY, raw);
+  ledgerRawSeen = raw;
   // fire-and-forget backup
   try{ idbSet(STORAGE_KEY, raw); }catch(_){}
 }
 
+const MIGRATION_PENDING_MSG = "帳本資料格式尚未完成升級（升級前的備份還沒保存），目前不會寫入任何變更；重新開啟 App 會再試一次。";
+
+// write paths check this before changing anything: while the stored ledger is newer than this app
+// (or its migration isn't persisted yet), say so and leave memory and storage untouched
+// (saveLedger still refuses as the last line)
+function ledgerWritable(){
+  if(ledgerTooNew){
+    alert(ledgerTooNew + "\n\n為避免損壞資料，目前不會寫入任何變更。");
+    return false;
+  }
+  if(pendingMigration){
+    alert(MIGRATION_PENDING_MSG);
+    return false;
+  }
+  return true;
+}
+
+// init: store the pre-migration snapshot, then write the migrated ledger. When IndexedDB refuses
+// (private mode, quota) the user gets the original as a file first, or the upgrade waits.
+async function persistLedgerMigration(){
+  const m = pendingMigration;
+  if(!m) return;
+  let kept = await saveMigrationSnapshot(m.raw, m.from, "load");
+  if(!kept && confirm(`帳本需要升級資料格式（資料版本 ${m.from} → ${LEDGER_VERSION}），但瀏覽器無法保存升級前的備份（可能是私密瀏覽或空間不足）。\n\n按「確定」先下載原始資料檔再升級；按「取消」這次先不升級（不會寫入任何變更）。`)){
+    downloadText(`stock-ledger_before-upgrade_v${m.from}.json`, m.raw, "application/json");
+    kept = true;
+  }
+  if(!kept) return;
+  pendingMigration = null;
+  try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(ledger)); }catch(_){}
+}
+
 function keyOf(market, symbol){ return `${market}|${symbol}`; }
 
-function computeHoldings(ledger){
-  // Aggregate per key using avg-cost rule
-  const map = {};
-  const lots = ledger.lots.slice().sort((a,b)=>String(a.timestamp).localeCompare(String(b.timestamp)));
-  for(const r of lots){
-    const market = r.market;
-    const symbol = r.symbol;
-    const key = keyOf(market,symbol);
-    if(!map[key]) map[key] = {market, symbol, currency: marketToCurrency(market), qty:0, avg:0, realized:0};
-    const pos = map[key];
+// ---------------- Fees & taxes ----------------
+// Broker fee profiles live in ledger.settings.feeProfiles (default per market: settings.feeProfileId).
+// Trade records keep the commission in `fee`, TW transaction tax in `tax`,
+// and US regulatory fees in `secFee` (SEC Section 31) / `taf` (FINRA TAF).
+const TW_COMMISSION_RATE = 0.001425;
+const TW_TAX_RATES = {STOCK:0.003, DAYTRADE:0.0015, ETF:0.001, BOND_ETF:0};
+
+function defaultFeeProfiles(){
+  return [
+    {id:"tw-default", market:"TW", name:"台股一般（無折扣）", discount:1, minFee:20, oddLotMinFee:1},
+    {id:"us-default", market:"US", name:"美股零佣金", commissionMode:"PER_ORDER", perOrder:0, perShare:0.005, minCommission:0, maxCommissionPct:0,
+     secRatePerMillion:27.8, tafPerShare:0.000166, tafMax:8.3}
+  ];
+}
+
+// saved profiles, plus the built-in default for any market that has none
+function getFeeProfiles(ledgerObj, market){
+  const list = Array.isArray(ledgerObj?.settings?.feeProfiles) ? ledgerObj.settings.feeProfiles.slice() : [];
+  for(const d of defaultFeeProfiles()){
+    if(!list.some(p => p && p.market===d.market)) list.push(d);
+  }
+  return market ? list.filter(p => p && p.market===market) : list;
+}
+
+function getFeeProfile(ledgerObj, market, id){
+  const list = getFeeProfiles(ledgerObj, market);
+  const want = id || ledgerObj?.settings?.feeProfileId?.[market];
+  return list.find(p => p.id===want) || list[0] || null;
+}
+
+// 00xxx = ETF, 00xxxB = bond ETF (證交稅停徵)
+function twSecurityKind(symbol){
+  const s = String(symbol||"").trim().toUpperCase();
+  if(/^00\d{2,4}B$/.test(s)) return "BOND_ETF";
+  if(/^00\d{2,4}[A-Z]?$/.test(s)) return "ETF";
+  return "STOCK";
+}
+
+// TW: commission = amount × 0.1425% × discount (元以下捨去, min fee per order),
+// 證交稅 on sells only (stock 0.3%, day trade 0.15%, ETF 0.1%, bond ETF 0)
+function calcTwFees(profile, {side, qty, price, symbol, dayTrade}){
+  const amount = qty * price;
+  const discount = toNumber(profile?.discount, 1);
+  const min = qty<1000 ? toNumber(profile?.oddLotMinFee, 1) : toNumber(profile?.minFee, 20);
+  let fee = Math.floor(amount * TW_COMMISSION_RATE * discount + 1e-9);
+  if(amount>0 && fee<min) fee = min;
+
+  let tax = 0;
+  if(side==="SELL"){
+    const kind = twSecurityKind(symbol);
+    const rate = (dayTrade && kind==="STOCK") ? TW_TAX_RATES.DAYTRADE : TW_TAX_RATES[kind];
+    tax = Math.floor(amount * rate + 1e-9);
+  }
+  return {fee, tax};
+}
+
+function ceilCents(x){ return Math.ceil(x*100 - 1e-7) / 100; }
+function roundCents(x){ return Math.round(x*100) / 100; }
+
+// US: commission per order or per share (min / max % of trade value),
+// SEC Section 31 fee and FINRA TAF (capped per trade) on sells only
+function calcUsFees(profile, {side, qty, price}){
+  const amount = qty * price;
+  let fee;
+  if(profile?.commissionMode==="PER_SHARE"){
+    fee = qty * toNumber(profile.perShare, 0);
+    const min = toNumber(profile.minCommission, 0);
+    const maxPct = toNumber(profile.maxCommissionPct, 0);
+    if(fee<min) fee = min;
+    if(maxPct>0 && fee > amount*maxPct/100) fee = amount*maxPct/100;
+  }else{
+    fee = toNumber(profile?.perOrder, 0);
+  }
+  fee = roundCents(fee);
+
+  let secFee = 0, taf = 0;
+  if(side==="SELL"){
+    secFee = ceilCents(amount * toNumber(profile?.secRatePerMillion, 0) / 1e6);
+    taf = ceilCents(qty * toNumber(profile?.tafPerShare, 0));
+    const tafMax = toNumber(profile?.tafMax, 0);
+    if(tafMax>0 && taf>tafMax) taf = tafMax;
+  }
+  return {fee, tax:0, secFee, taf};
+}
+
+// Fee model entry point (form / CSV import / editor). Returns {fee, tax[, secFee, taf]} or null when no model applies.
+function calcTradeFees(ledgerObj, {market, side, qty, price, symbol, dayTrade, profileId}){
+  if(!(qty>0) || !(price>0) || !isTradeType(side)) return null;
+  const profile = getFeeProfile(ledgerObj, market, profileId);
+  if(!profile) return null;
+  if(market==="TW") return calcTwFees(profile, {side, qty, price, symbol, dayTrade});
+  if(market==="US") return calcUsFees(profile, {side, qty, price});
+  return null;
+}
+
+// all charges on a BUY/SELL (added to cost on buys, deducted from proceeds on sells)
+function recTradeCharges(r){
+  return toNumber(r?.fee,0) + toNumber(r?.tax,0) + toNumber(r?.secFee,0) + toNumber(r?.taf,0);
+}
+
+function escapeHtml(s){
+  return String(s??"").replace(/[&<>"']/g, ch => ({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"}[ch]));
+}
+
+// ---------------- FX rates ----------------
+// ledger.fxRates = [{date:"YYYY-MM-DD", rate}] where rate = TWD per 1 USD.
+// Conversions use the latest rate on or before the date (earliest rate if the date predates the table).
+const CURRENCIES = ["TWD","USD"];
+
+function getFxRates(ledgerObj){
+  return sortedFxRates(ledgerObj).slice();
+}
+
+// sorted table per fxRates array (writers always assign a new array, see upsertFxRate)
+const fxRatesSorted = new WeakMap();
+function sortedFxRates(ledgerObj){
+  const list = Array.isArray(ledgerObj?.fxRates) ? ledgerObj.fxRates : [];
+  if(!fxRatesSorted.has(list)){
+    fxRatesSorted.set(list, list.filter(x => x && x.date && toNumber(x.rate,0)>0).slice().sort((a,b)=>String(a.date).localeCompare(String(b.date))));
+  }
+  return fxRatesSorted.get(list);
+}
+
+function fxRateOn(ledgerObj, date){
+  const rates = sortedFxRates(ledgerObj);
+  if(rates.length===0) return null;
+  const d = String(date||"").slice(0,10);
+  // last rate on or before d (binary search)
+  let lo = 0, hi = rates.length-1;
+  while(lo < hi){
+    const mid = (lo + hi + 1) >> 1;
+    if(rates[mid].date <= d) lo = mid; else hi = mid - 1;
+  }
+  return toNumber(rates[lo].rate, 0);
+}
+
+// convert amount between TWD / USD; NaN when a rate is needed but the table is empty
+function convertCurrency(ledgerObj, amount, from, to, date){
+  if(from===to) return amount;
+  const rate = fxRateOn(ledgerObj, date);
+  if(!rate) return NaN;
+  if(from==="USD" && to==="TWD") return amount * rate;
+  if(from==="TWD" && to==="USD") return amount / rate;
+  return NaN;
+}
+
+function getBaseCurrency(ledgerObj){
+  const c = ledgerObj?.settings?.baseCurrency;
+  return CURRENCIES.includes(c) ? c : "TWD";
+}
+
+// position totals in the base currency: open cost at each lot's buy date,
+// realized P&L at each sell date, dividends at each pay date
+function positionInBase(ledgerObj, pos, base){
+  const cur = pos.currency;
+  let cost = 0, realized = 0, dividends = 0;
+  for(const l of pos.openLots) cost += convertCurrency(ledgerObj, l.cost, cur, base, l.ts);
+  for(const e of pos.realizedEvents) realized += convertCurrency(ledgerObj, e.amount, cur, base, e.ts);
+  for(const e of pos.dividendEvents) dividends += convertCurrency(ledgerObj, e.amount, cur, base, e.ts);
+  return {cost, realized, dividends, missingFx: !Number.isFinite(cost + realized + dividends)};
+}
+
+function upsertFxRate(ledgerObj, date, rate){
+  const list = Array.isArray(ledgerObj.fxRates) ? ledgerObj.fxRates.filter(x => !(x && x.date===date)) : [];
+  list.push({date, rate});
+  ledgerObj.fxRates = list;
+}
+
+// CSV: date,rate (header optional)
+function importFxCsvIntoLedger(csvText){
+  const {header, rows} = parseCsv(csvText);
+  if(rows.length===0) throw new Error("CSV 沒有資料列");
+  let dateIdx = 0, rateIdx = 1;
+  if(header){
+    const norm = header.map(h=>String(h||"").trim().toLowerCase());
+    const di = norm.findIndex(h => h==="date" || h.includes("日期"));
+    const ri = norm.findIndex(h => ["rate","usdtwd","usd/twd","close"].includes(h) || h.includes("匯率"));
+    if(di>=0) dateIdx = di;
+    if(ri>=0) rateIdx = ri;
+  }
+  let imported = 0;
+  const errors = [];
+  for(let r=0;r<rows.length;r++){
+    const row = rows[r];
+    if(row.every(v=>String(v||"").trim()==="")) continue;
+    const date = normalizeCsvDate(row[dateIdx]);
+    const rate = toNumber(row[rateIdx], NaN);
+    if(!date){ errors.push(`第 ${r+1} 列：日期格式需為 YYYY-MM-DD`); continue; }
+    if(!Number.isFinite(rate) || rate<=0){ errors.push(`第 ${r+1} 列：匯率需為正數`); continue; }
+    upsertFxRate(ledger, date, rate);
+    imported++;
+  }
+  saveLedger(ledger);
+  let msg = `匯率匯入完成：${imported} 筆`;
+  if(errors.length>0) msg += `\n\n以下 ${errors.length} 筆有問題未匯入：\n` + errors.slice(0,8).join("\n") + (errors.length>8?"\n…":"");
+  return {imported, errors, message: msg};
+}
+
+// ---------------- Price book ----------------
+// ledger.prices = {"TW|2330": {price, date}}: latest known price per symbol (entered by hand)
+function getLatestPrice(ledgerObj, market, symbol){
+  const p = ledgerObj?.prices?.[keyOf(market, symbol)];
+  if(!p || !(toNumber(p.price,0)>0)) return null;
+  return {price: toNumber(p.price,0), date: String(p.date||"")};
+}
+
+function setLatestPrice(ledgerObj, market, symbol, price, date){
+  ledgerObj.prices = (ledgerObj.prices && typeof ledgerObj.prices==="object") ? ledgerObj.prices : {};
+  const k = keyOf(market, symbol);
+  if(!(price>0)){ delete ledgerObj.prices[k]; return; }
+  ledgerObj.prices[k] = {price, date: date || formatDateYYYYMMDD(new Date())};
+}
+
+// market value / unrealized P&L for an open position (native currency); null without a stored price
+function positionMarketValue(ledgerObj, pos){
+  const p = getLatestPrice(ledgerObj, pos.market, pos.symbol);
+  if(!p) return null;
+  const value = pos.qty * p.price;
+  const unrealized = value - pos.cost;
+  return {price: p.price, date: p.date, value, unrealized, unrealizedPct: pos.cost>0 ? unrealized/pos.cost*100 : null};
+}
+
+// ---------------- Symbol master ----------------
+// Code → company name per market: the bundled list (symbols.js) plus rows imported from CSV,
+// which are kept in IndexedDB (IDB_STORE, key SYMBOL_MASTER_KEY) and override the bundled names.
+const SYMBOL_MASTER_KEY = "symbol_master"; // -> [{market, symbol, name}]
+const symbolMaster = new Map(); // "TW|2330" -> "台積電"
+let importedSymbols = [];
+
+function rebuildSymbolMaster(){
+  symbolMaster.clear();
+  const bundled = (typeof BUNDLED_SYMBOLS!=="undefined" && Array.isArray(BUNDLED_SYMBOLS)) ? BUNDLED_SYMBOLS : [];
+  for(const [m, s, name] of bundled) symbolMaster.set(keyOf(m, s), name);
+  for(const x of importedSymbols) symbolMaster.set(keyOf(x.market, x.symbol), x.name);
+}
+rebuildSymbolMaster();
+
+async function loadSymbolMaster(){
+  try{
+    const v = await idbGet(SYMBOL_MASTER_KEY);
+    importedSymbols = Array.isArray(v) ? v.filter(x => x && normalizeMarket(x.market) && x.symbol) : [];
+  }catch(_){}
+  rebuildSymbolMaster();
+}
+
+function symbolName(market, symbol){
+  return symbolMaster.get(keyOf(market, symbol)) || "";
+}
+
+function symbolMasterCount(market){
+  let n = 0;
+  for(const k of symbolMaster.keys()) if(k.startsWith(market + "|")) n++;
+  return n;
+}
+
+// the bundled list is only a selection: a code missing from it is just not known, unless a directory was imported
+function symbolMasterComplete(market){
+  return importedSymbols.some(x => normalizeMarket(x.market)===market);
+}
+
+// markets whose directory lists this code
+function symbolMarkets(symbol){
+  return ["TW","US"].filter(m => symbolMaster.has(keyOf(m, normalizeSymbol(m, symbol))));
+}
+
+// CSV: market,symbol,name — market may be left out (inferred from the code); a "code,name" export works too
+async function importSymbolMasterCsv(csvText){
+  const parsed = parseCsv(csvText);
+  let {header, rows} = parsed;
+  if(!header && rows.length && rows[0].some(v => /^(code|ticker|name|名稱|證券名稱|公司簡稱)$/i.test(String(v).trim()))){
+    header = rows[0];
+    rows = rows.slice(1);
+  }
+  if(rows.length===0) throw new Error("CSV 沒有資料列");
+  let mIdx = -1, sIdx = 0, nIdx = 1;
+  if(header){
+    mIdx = csvColumnIndex(header, ["market","市場"]);
+    sIdx = csvColumnIndex(header, ["symbol","code","ticker","代號","證券代號","股票代號"]);
+    nIdx = csvColumnIndex(header, ["name","名稱","證券名稱","公司簡稱","公司名稱"]);
+    if(sIdx<0 || nIdx<0) throw new Error("找不到代號或名稱欄位（需要 symbol / name 或 代號 / 名稱）");
+  }else if(Math.max(...rows.map(r => r.length))>=3){
+    mIdx = 0; sIdx = 1; nIdx = 2;
+  }
+
+  const byKey = new Map(importedSymbols.map(x => [keyOf(x.market, x.symbol), x]));
+  let imported = 0;
+  const errors = [];
+  for(let r=0;r<rows.length;r++){
+    const row = rows[r];
+    if(row.every(v=>String(v||"").trim()==="")) continue;
+    const raw = String(row[sIdx]||"").trim();
+    const name = String(row[nIdx]||"").trim();
+    const market = mIdx>=0 && String(row[mIdx]||"").trim() ? normalizeMarket(row[mIdx]) : (/^\d{4,6}[A-Z]?$/.test(raw) ? "TW" : "US");
+    if(!market){ errors.push(`第 ${r+1} 列：市場需為 TW 或 US`); continue; }
+    const symbol = normalizeSymbol(market, raw);
+    if(!symbol || !name){ errors.push(`第 ${r+1} 列：代號與名稱不可空白`); continue; }
+    byKey.set(keyOf(market, symbol), {market, symbol, name});
+    imported++;
+  }
+  importedSymbols = Array.from(byKey.values());
+  rebuildSymbolMaster();
+  let msg = `代號表匯入完成：${imported} 筆`;
+  try{ await idbSet(SYMBOL_MASTER_KEY, importedSymbols); }
+  catch(_){ msg += "\n（無法寫入本機資料庫，重新開啟 App 後會還原成內建代號表）"; }
+  if(errors.length>0) msg += `\n\n以下 ${errors.length} 筆有問題未匯入：\n` + errors.slice(0,8).join("\n") + (errors.length>8?"\n…":"");
+  return {imported, errors, message: msg};
+}
+
+async function resetSymbolMaster(){
+  importedSymbols = [];
+  rebuildSymbolMaster();
+  await idbDelete(SYMBOL_MASTER_KEY);
+}
+
+// one <datalist> per market; symbol inputs switch list with their market select
+function renderSymbolDatalists(){
+  for(const m of ["TW","US"]){
+    const dl = $("symbol_list_" + m);
+    if(!dl) continue;
+    const opts = [];
+    for(const [k, name] of symbolMaster){
+      if(k.startsWith(m + "|")) opts.push(`<option value="${escapeHtml(k.slice(m.length+1))}">${escapeHtml(name)}</option>`);
+    }
+    dl.innerHTML = opts.join("");
+  }
+  const info = $("symbol_master_info");
+  if(info) info.textContent = `目前代號表：台股 ${fmtInt(symbolMasterCount("TW"))} 筆、美股 ${fmtInt(symbolMasterCount("US"))} 筆（其中匯入 ${fmtInt(importedSymbols.length)} 筆）`;
+}
+
+const SYMBOL_INPUTS = [["f_symbol","f_market","f_symbol_hint"], ["q_symbol","q_market","q_symbol_hint"], ["bulk_symbol","bulk_market","bulk_symbol_hint"], ["w_symbol","w_market","w_symbol_hint"]];
+
+// company name under the input, or a warning when the directory does not list the code
+function syncSymbolInput(inputId, marketId, hintId){
+  const inp = $(inputId);
+  if(!inp) return;
+  const market = normalizeMarket($(marketId)?.value);
+  if(market) inp.setAttribute("list", "symbol_list_" + market);
+  else inp.removeAttribute("list");
+  const hint = $(hintId);
+  if(!hint) return;
+  const symbol = normalizeSymbol(market, inp.value);
+  if(!market || !symbol){ hint.innerHTML = ""; return; }
+  const name = symbolName(market, symbol);
+  if(name) hint.textContent = name;
+  else if(symbolMasterComplete(market)) hint.innerHTML = `<span style="color:var(--red);">⚠ 代號表中沒有 ${escapeHtml(market)} ${escapeHtml(symbol)}，請確認代號是否正確（新上市可重新匯入最新代號表）</span>`;
+  else hint.innerHTML = "";
+}
+
+function syncSymbolInputs(){
+  for(const [i, m, h] of SYMBOL_INPUTS) syncSymbolInput(i, m, h);
+}
+
+// ---------------- Price history ----------------
+// Daily close / OHLC per symbol, stored in IndexedDB (IDB_PRICE_STORE) and cached in memory.
+const priceHistoryCache = new Map();
+
+async function loadPriceHistory(market, symbol){
+  const k = keyOf(market, symbol);
+  if(priceHistoryCache.has(k)) return priceHistoryCache.get(k);
+  let rows = [];
+  try{
+    const v = await idbGet(k, IDB_PRICE_STORE);
+    rows = Array.isArray(v) ? v : [];
+  }catch(_){}
+  priceHistoryCache.set(k, rows);
+  if(rows.length) dataVersion++;
+  return rows;
+}
+
+function getCachedPriceHistory(market, symbol){
+  return priceHistoryCache.get(keyOf(market, symbol)) || [];
+}
+
+// merge by date (new rows win) and store sorted
+async function savePriceHistory(market, symbol, rows){
+  const k = keyOf(market, symbol);
+  const byDate = new Map((await loadPriceHistory(market, symbol)).map(x => [x.date, x]));
+  for(const x of rows) byDate.set(x.date, x);
+  const merged = Array.from(byDate.values()).sort((a,b)=>a.date.localeCompare(b.date));
+  await idbSet(k, merged, IDB_PRICE_STORE);
+  priceHistoryCache.set(k, merged);
+  dataVersion++;
+  return merged.length;
+}
+
+async function clearPriceHistory(market, symbol){
+  const k = keyOf(market, symbol);
+  await idbDelete(k, IDB_PRICE_STORE);
+  priceHistoryCache.set(k, []);
+  dataVersion++;
+}
+
+// CSV: date, [open, high, low,] close — optional market / symbol columns for multi-symbol files.
+// Files without a symbol column go to the currently queried symbol.
+async function importPriceHistoryCsv(csvText, fallbackMarket, fallbackSymbol){
+  const {header, rows} = parseCsv(csvText);
+  if(rows.length===0) throw new Error("CSV 沒有資料列");
+
+  const map = {date:-1, open:-1, high:-1, low:-1, close:-1, symbol:-1, market:-1};
+  if(header){
+    const norm = header.map(h=>String(h||"").trim().toLowerCase());
+    const idxOf = (keys)=>{
+      for(const k of keys){ const i = norm.indexOf(k); if(i>=0) return i; }
+      for(const k of keys){ const i = norm.findIndex(h => h.includes(k)); if(i>=0) return i; }
+      return -1;
+    };
+    map.date = idxOf(["date","日期"]);
+    map.open = idxOf(["open","開盤"]);
+    map.high = idxOf(["high","最高"]);
+    map.low = idxOf(["low","最低"]);
+    map.close = idxOf(["close","收盤","price"]);
+    map.symbol = idxOf(["symbol","ticker","代號"]);
+    map.market = idxOf(["market","市場"]);
+  }else if(rows[0].length>=5){
+    Object.assign(map, {date:0, open:1, high:2, low:3, close:4});
+  }else{
+    Object.assign(map, {date:0, close:1});
+  }
+  if(map.date<0 || map.close<0) throw new Error("找不到日期(date)或收盤價(close)欄位");
+  if(map.symbol<0 && !fallbackSymbol) throw new Error("CSV 沒有代號(symbol)欄位，請先查詢一支股票再匯入");
+
+  const bySymbol = new Map();
+  let skipped = 0;
+  for(const row of rows){
+    if(row.every(v=>String(v||"").trim()==="")) continue;
+    const date = normalizeCsvDate(row[map.date]);
+    const close = toNumber(row[map.close], NaN);
+    if(!date || !Number.isFinite(close) || close<=0){ skipped++; continue; }
+
+    let market = fallbackMarket, symbol = fallbackSymbol;
+    if(map.symbol>=0){
+      const sym0 = String(row[map.symbol]||"").trim();
+      if(!sym0){ skipped++; continue; }
+      market = (map.market>=0 && String(row[map.market]||"").trim()) ? normalizeMarket(row[map.market]) : inferMarketFromSymbol(sym0);
+      symbol = normalizeSymbol(market, sym0);
+    }
+    if(!market){ skipped++; continue; }
+
+    const bar = {date, close};
+    for(const f of ["open","high","low"]){
+      const n = map[f]>=0 ? toNumber(row[map[f]], NaN) : NaN;
+      if(Number.isFinite(n) && n>0) bar[f] = n;
+    }
+    const k = keyOf(market, symbol);
+    if(!bySymbol.has(k)) bySymbol.set(k, {market, symbol, rows:[]});
+    bySymbol.get(k).rows.push(bar);
+  }
+
+  const parts = [];
+  for(const {market, symbol, rows: bars} of bySymbol.values()){
+    const total = await savePriceHistory(market, symbol, bars);
+    parts.push(`${market} ${symbol}：${bars.length} 筆（共 ${total} 天）`);
+  }
+  let msg = parts.length ? `歷史股價匯入完成：\n${parts.join("\n")}` : "沒有可匯入的股價資料";
+  if(skipped>0) msg += `\n\n略過 ${skipped} 列（日期或收盤價無法解析）`;
+  return {message: msg, symbols: Array.from(bySymbol.values()).map(x => keyOf(x.market, x.symbol))};
+}
+
+// chart x-axis: whole days since epoch (UTC), so a plain linear scale works without a date adapter
+function dateToDayNumber(dateStr){
+  const m = String(dateStr||"").match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if(!m) return NaN;
+  return Date.UTC(Number(m[1]), Number(m[2])-1, Number(m[3])) / 86400000;
+}
+function dayNumberToDate(n){
+  return new Date(Math.round(n) * 86400000).toISOString().slice(0,10);
+}
+
+function fmtPct(n){
+  if(n===null || !Number.isFinite(n)) return "—";
+  return `${n>=0 ? "+" : ""}${fmtNum(n,2)}%`;
+}
+
+// ---------------- Accounts ----------------
+// Named accounts live in ledger.accounts [{id, name}]; BUY/SELL/DIVIDEND records carry `account` (id).
+// Records without one belong to the default account. ACTION records are per security: they apply in every account.
+const DEFAULT_ACCOUNT = "default";
+const ALL_ACCOUNTS = "*";
+
+function accountOf(r){ return String(r?.account || DEFAULT_ACCOUNT); }
+
+function getAccounts(ledgerObj){
+  const list = [{id: DEFAULT_ACCOUNT, name: "預設帳戶"}];
+  for(const a of (ledgerObj?.accounts||[])){
+    if(!a || !a.id) continue;
+    const i = list.findIndex(x => x.id===String(a.id));
+    if(i>=0) list[i] = {id: list[i].id, name: String(a.name||list[i].name)};
+    else list.push({id: String(a.id), name: String(a.name||a.id)});
+  }
+  // ids used by records but missing from the list (e.g. hand-edited JSON)
+  for(const r of (ledgerObj?.lots||[])){
+    if(r && r.account && !list.some(x => x.id===String(r.account))) list.push({id: String(r.account), name: String(r.account)});
+  }
+  return list;
+}
+
+function accountName(ledgerObj, id){
+  if(id===ALL_ACCOUNTS) return "全部帳戶";
+  const a = getAccounts(ledgerObj).find(x => x.id===String(id||DEFAULT_ACCOUNT));
+  return a ? a.name : String(id);
+}
+
+function recInAccount(r, account){
+  return !account || account===ALL_ACCOUNTS || r?.type==="ACTION" || accountOf(r)===String(account);
+}
+
+function addAccount(ledgerObj, name){
+  ledgerObj.accounts = Array.isArray(ledgerObj.accounts) ? ledgerObj.accounts : [];
+  const a = {id: uuid(), name: String(name||"").trim()};
+  ledgerObj.accounts.push(a);
+  return a;
+}
+
+// CSV / JSON value → account id: matches an id or a name, unknown names become new accounts
+// exported rows carry the account id: keep it (re-creating the account under its name) so ids survive a round trip
+function resolveAccountById(ledgerObj, id, name){
+  const s = String(id??"").trim();
+  if(!s) return resolveAccount(ledgerObj, name);
+  if(s===DEFAULT_ACCOUNT || getAccounts(ledgerObj).some(a => a.id===s)) return s;
+  ledgerObj.accounts = Array.isArray(ledgerObj.accounts) ? ledgerObj.accounts : [];
+  ledgerObj.accounts.push({id: s, name: String(name??"").trim() || s});
+  return s;
+}
+function resolveAccount(ledgerObj, v){
+  const s = String(v??"").trim();
+  if(!s) return DEFAULT_ACCOUNT;
+  const list = getAccounts(ledgerObj);
+  const hit = list.find(a => a.id===s) || list.find(a => a.name===s);
+  return hit ? hit.id : addAccount(ledgerObj, s).id;
+}
+
+// share counts per account+symbol (key "account|market|symbol"); returns the new count, null for ACTION
+function applyRecordToQtyMap(map, r){
+  if(r.type==="ACTION"){
+    const suffix = "|" + keyOf(r.market, r.symbol);
+    for(const [k, q] of map) if(k.endsWith(suffix)) map.set(k, qtyAfterRecord(q, r));
+    return null;
+  }
+  const k = `${accountOf(r)}|${keyOf(r.market, r.symbol)}`;
+  const next = qtyAfterRecord(map.get(k) ?? 0, r);
+  map.set(k, next);
+  return next;
+}
+
+// ---------------- Cost basis ----------------
+// Positions are replayed as open lots [{id, ts, qty, cost}] so every cost-basis method
+// shares one engine. The method is chosen per market: ledger.settings.costMethod = {TW, US}.
+// - AVG:      moving average; a SELL takes the same fraction from every open lot
+// - FIFO:     a SELL closes the earliest lots first
+// - SPECIFIC: a SELL closes the lots listed in rec.closes [{lot:<BUY id>, qty}], the rest FIFO
+const COST_METHODS = {AVG:"平均成本", FIFO:"先進先出（FIFO）", SPECIFIC:"指定批次"};
+
+function getCostMethod(ledgerObj, market){
+  const m = ledgerObj?.settings?.costMethod?.[market];
+  return COST_METHODS[m] ? m : "AVG";
+}
+
+function sortByTimestamp(lots){
+  return lots.slice().sort((a,b)=>String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+function newPosition(market, symbol, method, account=DEFAULT_ACCOUNT){
+  return {market, symbol, account, currency: marketToCurrency(market), method, qty:0, cost:0, avg:0, realized:0, dividends:0, openLots:[],
+          realizedEvents:[], dividendEvents:[]};
+}
+
+function syncPositionTotals(pos){
+  pos.openLots = pos.openLots.filter(l => l.qty > 1e-9);
+  let qty = 0, cost = 0;
+  for(const l of pos.openLots){ qty += l.qty; cost += l.cost; }
+  if(qty<=1e-9){ qty = 0; cost = 0; pos.openLots = []; }
+  pos.qty = qty;
+  pos.cost = cost;
+  pos.avg = qty>0 ? cost/qty : 0;
+}
+
+// take qty out of one open lot; returns the closed slice {lot, ts, qty, cost}
+function takeFromLot(lot, qty){
+  const q = Math.min(qty, lot.qty);
+  const cost = lot.qty>0 ? lot.cost * (q / lot.qty) : 0;
+  lot.qty -= q;
+  lot.cost -= cost;
+  return {lot: lot.id, ts: lot.ts, qty: q, cost};
+}
+
+function closeLotsForSell(pos, r, q){
+  const closed = [];
+  if(pos.method==="AVG"){
+    const frac = pos.qty>0 ? Math.min(1, q/pos.qty) : 0;
+    for(const l of pos.openLots) closed.push(takeFromLot(l, l.qty*frac));
+    return closed;
+  }
+  let left = q;
+  if(pos.method==="SPECIFIC" && Array.isArray(r.closes)){
+    for(const c of r.closes){
+      const l = pos.openLots.find(x => String(x.id)===String(c?.lot));
+      if(!l || left<=1e-9) continue;
+      const slice = takeFromLot(l, Math.min(left, toNumber(c.qty,0)));
+      if(slice.qty>0){ closed.push(slice); left -= slice.qty; }
+    }
+  }
+  for(const l of pos.openLots){
+    if(left<=1e-9) break;
+    if(l.qty<=1e-9) continue;
+    const slice = takeFromLot(l, left);
+    closed.push(slice);
+    left -= slice.qty;
+  }
+  return closed;
+}
+
+// Apply one ledger record to a position. Returns step details for the log:
+// {realized, closed (SELL), cash (ACTION), dividend (DIVIDEND)}
+function applyRecordToPosition(pos, r){
+  const step = {realized:0, closed:null, cash:0, dividend:0};
+  const q = toNumber(r.qty,0);
+  const px = toNumber(r.price,0);
+  const fee = recTradeCharges(r);
+
+  if(r.type==="BUY"){
+    pos.openLots.push({id: r.id || null, ts: String(r.timestamp||""), qty: q, cost: q*px + fee});
+  }else if(r.type==="SELL"){
+    const proceeds = q*px - fee;
+    step.closed = closeLotsForSell(pos, r, q);
+    const costBasis = step.closed.reduce((s,c)=>s + c.cost, 0);
+    step.realized = proceeds - costBasis;
+  }else if(r.type==="DIVIDEND"){
+    // cash dividend: income only, does not touch qty / cost
+    step.dividend = dividendNet(r);
+    pos.dividends += step.dividend;
+  }else if(r.type==="ACTION"){
+    const res = applyCorporateAction(pos.market, pos.qty, pos.cost, r);
+    step.cash = res.cash;
+    const factor = pos.qty>0 ? res.qty/pos.qty : 0;
+    if(pos.method==="AVG" || res.qty<=0){
+      // pooled cost: the aggregate result is spread over the lots by qty
+      step.realized = res.realized;
+      for(const l of pos.openLots){
+        l.qty *= factor;
+        l.cost = res.qty>0 ? res.cost * (l.qty / res.qty) : 0;
+      }
+    }else{
+      // per lot: returned cash reduces each lot's own cost, any excess is realized
+      const before = pos.qty;
+      for(const l of pos.openLots){
+        const share = before>0 ? l.qty/before : 0;
+        l.qty *= factor;
+        l.cost -= res.cash * share;
+        if(l.cost<0){ step.realized += -l.cost; l.cost = 0; }
+      }
+    }
+  }
+  pos.realized += step.realized;
+  if(step.realized) pos.realizedEvents.push({ts: String(r.timestamp||""), amount: step.realized});
+  if(step.dividend) pos.dividendEvents.push({ts: String(r.timestamp||""), amount: step.dividend});
+  syncPositionTotals(pos);
+  return step;
+}
+
+// ---------------- US wash sales ----------------
+// A US SELL at a loss with a purchase of the same symbol (in any account) within 30 days before or after
+// is a wash sale: the loss on the matched shares is disallowed and added to the replacement lot's cost,
+// in the position of the account that bought it.
+// Replacement shares are taken earliest first and each BUY is used once; a purchase made before the
+// sale only counts for the part still held after it (the shares sold can't replace themselves).
+const WASH_SALE_DAYS = 30;
+const washStates = new WeakMap(); // book → {used: Map(buy id → qty), pending: Map(buy id → amount)}
+
+function washState(book){
+  if(!washStates.has(book)) washStates.set(book, {used: new Map(), pending: new Map()});
+  return washStates.get(book);
+}
+
+// open lots of an account left out of this book (account-filtered views), replayed up to ts
+// (SELLs at ts itself are left out, so the replay can't come back to the sale being checked)
+function openLotsOutsideBook(ledgerObj, account, market, symbol, ts){
+  const book = new Map();
+  const recs = (ledgerObj.lots||[]).filter(x => x && x.market===market && x.symbol===symbol && recInAccount(x, account)
+    && (String(x.timestamp) < ts || (String(x.timestamp)===ts && x.type!=="SELL")));
+  for(const x of sortByTimestamp(recs)) applyRecordToBook(book, ledgerObj, x);
+  return book.get(`${account}|${keyOf(market, symbol)}`)?.openLots || [];
+}
+
+// after a SELL: disallow the washed part of a loss (step / pos and the replacement lots are updated in place)
+function applyWashSale(book, ledgerObj, pos, r, step){
+  if(r.market!=="US" || r.type!=="SELL" || !(step.realized < -1e-9)) return;
+  const st = washState(book);
+  const soldQty = toNumber(r.qty,0);
+  const day = dateToDayNumber(r.timestamp);
+  const buys = sortByTimestamp((ledgerObj.lots||[]).filter(x => x && x.type==="BUY" && x.id!=null
+    && x.market===r.market && x.symbol===r.symbol
+    && Math.abs(dateToDayNumber(x.timestamp) - day) <= WASH_SALE_DAYS));
+  // open lots by buy id → {lot, pos}; pos is null for an account not in this book (only caps the match)
+  const openById = new Map();
+  for(const p of book.values()){
+    if(p.market!==r.market || p.symbol!==r.symbol) continue;
+    for(const l of p.openLots) if(l.id!=null) openById.set(String(l.id), {lot: l, pos: p});
+  }
+  const earlierBuys = buys.filter(b => String(b.timestamp) <= String(r.timestamp));
+  for(const account of new Set(earlierBuys.map(accountOf))){
+    if(book.has(`${account}|${keyOf(r.market, r.symbol)}`)) continue;
+    for(const l of openLotsOutsideBook(ledgerObj, account, r.market, r.symbol, String(r.timestamp))){
+      if(l.id!=null) openById.set(String(l.id), {lot: l, pos: null});
+    }
+  }
+
+  const loss = -step.realized;
+  const replacements = [];
+  let left = soldQty;
+  for(const b of buys){
+    if(left<=1e-9) break;
+    const id = String(b.id);
+    const earlier = String(b.timestamp) <= String(r.timestamp);
+    let cap = toNumber(b.qty,0) - (st.used.get(id)||0);
+    if(earlier) cap = Math.min(cap, openById.get(id)?.lot.qty || 0);
+    const q = Math.min(cap, left);
+    if(q<=1e-9) continue;
+    st.used.set(id, (st.used.get(id)||0) + q);
+    left -= q;
+    const amount = soldQty>0 ? loss * q / soldQty : 0;
+    if(earlier){
+      const o = openById.get(id);
+      if(o.pos){
+        o.lot.cost += amount;
+        if(o.pos!==pos) syncPositionTotals(o.pos);
+      }
+    }else st.pending.set(id, (st.pending.get(id)||0) + amount);
+    replacements.push({id, ts: String(b.timestamp), qty: q, amount});
+  }
+  if(replacements.length===0) return;
+
+  const disallowed = replacements.reduce((s,x)=>s + x.amount, 0);
+  step.wash = {disallowed, replacements};
+  step.realized += disallowed;
+  pos.realized += disallowed;
+  const ev = pos.realizedEvents[pos.realizedEvents.length-1];
+  if(ev) ev.amount += disallowed;
+  syncPositionTotals(pos);
+}
+
+// a BUY that replaced earlier wash-sale shares takes over their disallowed loss
+function applyPendingWashAdjustment(book, pos, r, step){
+  if(r.type!=="BUY" || r.id==null) return;
+  const st = washStates.get(book);
+  const amount = st?.pending.get(String(r.id));
+  if(!amount) return;
+  st.pending.delete(String(r.id));
+  const lot = pos.openLots.find(l => String(l.id)===String(r.id));
+  if(!lot) return;
+  lot.cost += amount;
+  step.washAdj = amount;
+  syncPositionTotals(pos);
+}
+
+// Positions are kept per account (book: Map "account|market|symbol" -> position).
+// An ACTION record is applied to every account's position in that symbol.
+function applyRecordToBook(book, ledgerObj, r){
+  if(r.type==="ACTION"){
+    const step = {realized:0, closed:null, cash:0, dividend:0};
+    for(const pos of book.values()){
+      if(pos.market!==r.market || pos.symbol!==r.symbol) continue;
+      const s = applyRecordToPosition(pos, r);
+      step.realized += s.realized;
+      step.cash += s.cash;
+    }
+    return step;
+  }
+  const account = accountOf(r);
+  const k = `${account}|${keyOf(r.market, r.symbol)}`;
+  if(!book.has(k)) book.set(k, newPosition(r.market, r.symbol, getCostMethod(ledgerObj, r.market), account));
+  const pos = book.get(k);
+  const step = applyRecordToPosition(pos, r);
+  applyWashSale(book, ledgerObj, pos, r, step);
+  applyPendingWashAdjustment(book, pos, r, step);
+  return step;
+}
+
+// consolidated (read-only) position over several accounts holding the same symbol
+function mergePositions(list){
+  const p0 = list[0];
+  const accounts = new Set(list.map(p => p.account));
+  const m = newPosition(p0.market, p0.symbol, p0.method, accounts.size===1 ? p0.account : ALL_ACCOUNTS);
+  for(const p of list){
+    m.realized += p.realized;
+    m.dividends += p.dividends;
+    m.openLots.push(...p.openLots);
+    m.realizedEvents.push(...p.realizedEvents);
+    m.dividendEvents.push(...p.dividendEvents);
+  }
+  m.openLots.sort((a,b)=>String(a.ts).localeCompare(String(b.ts)));
+  syncPositionTotals(m);
+  return m;
+}
+
+function bookPosition(book, ledgerObj, market, symbol, account){
+  const list = Array.from(book.values()).filter(p => p.market===market && p.symbol===symbol);
+  return list.length ? mergePositions(list) : newPosition(market, symbol, getCostMethod(ledgerObj, market), account);
+}
+
+// open lots right before one record (used by the specific-lot picker)
+function openLotsBeforeRecord(ledgerObj, market, symbol, id){
+  const target = ledgerObj.lots.find(x => x && String(x.id)===String(id));
+  const account = accountOf(target);
+  const rows = sortByTimestamp(ledgerObj.lots.filter(x => x && x.market===market && x.symbol===symbol && recInAccount(x, account)));
+  const book = new Map();
+  for(const r of rows){
+    if(String(r.id)===String(id)) break;
+    applyRecordToBook(book, ledgerObj, r);
+  }
+  return bookPosition(book, ledgerObj, market, symbol, account).openLots;
+}
+
+// account: one account id, or ALL_ACCOUNTS for one consolidated row per symbol
+function computeHoldings(ledger, account=ALL_ACCOUNTS){
+  // Aggregate per account+key using the market's cost-basis method
+  const book = new Map();
+  const lots = sortByTimestamp(ledger.lots.filter(r => r && recInAccount(r, account)));
+  for(const r of lots) applyRecordToBook(book, ledger, r);
+
+  const bySymbol = new Map();
+  for(const pos of book.values()){
+    const key = keyOf(pos.market, pos.symbol);
+    if(!bySymbol.has(key)) bySymbol.set(key, []);
+    bySymbol.get(key).push(pos);
+  }
+  return Array.from(bySymbol.values()).map(mergePositions)
+    .filter(p=>p.qty>0 || Math.abs(p.realized)>0.000001 || Math.abs(p.dividends)>0.000001);
+}
+// ---------------- Annual realized gains report ----------------
+// Same replay as computeHoldings; every SELL dated in the year becomes one row per holding term
+// (US: long-term = held more than one year, otherwise short-term; TW has no split).
+function isLongTermHolding(acquiredTs, soldTs){
+  const a = String(acquiredTs||"").slice(0,10);
+  const anniversary = `${Number(a.slice(0,4))+1}${a.slice(4)}`;
+  return String(soldTs||"").slice(0,10) > anniversary;
+}
+
+function buildRealizedReport(ledgerObj, year){
+  const book = new Map();
+  const rows = [];
+  for(const r of sortByTimestamp((ledgerObj?.lots||[]).filter(Boolean))){
+    const step = applyRecordToBook(book, ledgerObj, r);
+    if(r.type!=="SELL" || String(r.timestamp||"").slice(0,4)!==String(year)) continue;
     const q = toNumber(r.qty,0);
-    const px = toNumber(r.price,0);
-    const fee = toNumber(r.fee,0);
-    if(r.type==="BUY"){
-      const totalCost = pos.qty*pos.avg + q*px + fee;
-      pos.qty += q;
-      pos.avg = pos.qty>0 ? totalCost/pos.qty : 0;
-    }else if(r.type==="SELL"){
-      const proceeds = q*px - fee;
-      const costBasis = q*pos.avg;
-      pos.realized += (proceeds - costBasis);
-      pos.qty -= q;
-      if(pos.qty<=0){ pos.qty=0; pos.avg=0; }
+    const gross = q * toNumber(r.price,0);
+    const charges = recTradeCharges(r);
+    const disallowed = step.wash?.disallowed || 0;
+    const byTerm = new Map();
+    for(const c of (step.closed||[])){
+      if(!(c.qty>1e-9)) continue;
+      const term = r.market==="US" ? (isLongTermHolding(c.ts, r.timestamp) ? "long" : "short") : "";
+      if(!byTerm.has(term)) byTerm.set(term, []);
+      byTerm.get(term).push(c);
+    }
+    for(const [term, slices] of byTerm){
+      const qty = slices.reduce((s,c)=>s + c.qty, 0);
+      const share = q>0 ? qty/q : 0;
+      const basis = slices.reduce((s,c)=>s + c.cost, 0);
+      const proceeds = gross * share;
+      const fees = charges * share;
+      const washAdj = disallowed * share;
+      rows.push({
+        id: r.id, market: r.market, symbol: r.symbol, account: accountOf(r), term,
+        sold: String(r.timestamp||"").slice(0,10),
+        acquired: Array.from(new Set(slices.map(c => String(c.ts||"").slice(0,10)))).sort(),
+        qty, proceeds, basis, fees, washAdj, gain: proceeds - fees - basis + washAdj
+      });
     }
   }
-  return Object.values(map).filter(p=>p.qty>0 || Math.abs(p.realized)>0.000001);
+
+  const sum = (list)=> list.reduce((t,x)=>({qty: t.qty + x.qty, proceeds: t.proceeds + x.proceeds, basis: t.basis + x.basis, fees: t.fees + x.fees, washAdj: t.washAdj + x.washAdj, gain: t.gain + x.gain}),
+                                   {qty:0, proceeds:0, basis:0, fees:0, washAdj:0, gain:0});
+  const markets = ["TW","US"].map(market=>{
+    const list = rows.filter(x => x.market===market);
+    const terms = market==="US" ? {short: sum(list.filter(x => x.term==="short")), long: sum(list.filter(x => x.term==="long"))} : null;
+    return {market, currency: marketToCurrency(market), rows: list, total: sum(list), terms};
+  }).filter(m => m.rows.length>0);
+  return {year: String(year), markets};
 }
 
-function buildLogForOne(ledger, market, symbol){
-  const rows = ledger.lots
-    .filter(x => x && x.market===market && x.symbol===symbol)
-    .slice()
-    .sort((a,b)=> String(a.timestamp).localeCompare(String(b.timestamp)));
+// years that have at least one SELL (newest first, current year always offered)
+function realizedReportYears(ledgerObj){
+  const years = new Set([String(new Date().getFullYear())]);
+  for(const r of (ledgerObj?.lots||[])) if(r && r.type==="SELL") years.add(String(r.timestamp||"").slice(0,4));
+  return Array.from(years).filter(y => /^\d{4}$/.test(y)).sort().reverse();
+}
+// ---------------- Returns (XIRR / TWR) ----------------
+// XIRR: money-weighted annual return of the dated cash flows (BUY −, SELL / dividends / returned cash +)
+// with the current market value as the last inflow. TWR: chain-linked return between cash flows,
+// valuing holdings at the daily close from the price history (needs history for every symbol involved).
+
+// latest price from the price book or the price history, whichever is newer
+function latestKnownPrice(ledgerObj, market, symbol){
+  const book = getLatestPrice(ledgerObj, market, symbol);
+  const hist = getCachedPriceHistory(market, symbol);
+  const last = hist[hist.length-1];
+  if(last && (!book || last.date > book.date)) return {price: toNumber(last.close,0), date: last.date};
+  return book;
+}
+
+// annual rate r with Σ amount / (1+r)^(years) = 0, by bisection; null when there is no sign change
+function xirr(flows){
+  const list = flows.filter(f => Number.isFinite(f.amount) && Math.abs(f.amount)>1e-9);
+  if(!list.some(f => f.amount>0) || !list.some(f => f.amount<0)) return null;
+  const d0 = Math.min(...list.map(f => dateToDayNumber(f.date)));
+  const pts = list.map(f => ({t: (dateToDayNumber(f.date) - d0) / 365, a: f.amount}));
+  if(!pts.some(p => p.t>0)) return null;
+  const npv = (r)=> pts.reduce((s,p)=> s + p.a / Math.pow(1+r, p.t), 0);
+  let lo = -0.9999, hi = 1;
+  let flo = npv(lo), fhi = npv(hi);
+  while(flo*fhi > 0 && hi < 1e6){ hi *= 4; fhi = npv(hi); }
+  if(!(flo*fhi <= 0)) return null;
+  for(let i=0;i<200;i++){
+    const mid = (lo+hi)/2;
+    const fm = npv(mid);
+    if(Math.abs(fm) < 1e-9) return mid;
+    if(flo*fm < 0){ hi = mid; }else{ lo = mid; flo = fm; }
+  }
+  return (lo+hi)/2;
+}
+
+// cash flows of one symbol (native currency); base converts each flow at its date (NaN without a rate)
+function symbolCashFlows(ledgerObj, market, symbol, account=ALL_ACCOUNTS, base=null){
+  const cur = marketToCurrency(market);
+  const money = (amount, date)=> base ? convertCurrency(ledgerObj, amount, cur, base, date) : amount;
+  const recs = sortByTimestamp(ledgerObj.lots.filter(x => x && x.market===market && x.symbol===symbol && recInAccount(x, account)));
+  const book = new Map();
+  const flows = [];
+  for(const r of recs){
+    const step = applyRecordToBook(book, ledgerObj, r);
+    const date = String(r.timestamp||"").slice(0,10);
+    const gross = toNumber(r.qty,0) * toNumber(r.price,0);
+    if(r.type==="BUY") flows.push({date, amount: money(-(gross + recTradeCharges(r)), date)});
+    else if(r.type==="SELL") flows.push({date, amount: money(gross - recTradeCharges(r), date)});
+    else if(r.type==="DIVIDEND") flows.push({date, amount: money(dividendNet(r), date)});
+    else if(step.cash) flows.push({date, amount: money(step.cash, date)});
+  }
+  const qty = bookPosition(book, ledgerObj, market, symbol, account).qty;
+  if(qty>1e-9){
+    const p = latestKnownPrice(ledgerObj, market, symbol);
+    if(!p) return {flows, missingPrice: true};
+    flows.push({date: p.date, amount: money(qty * p.price, p.date)});
+  }
+  return {flows, missingPrice: false};
+}
 
-  let holdingQty = 0;
-  let avgCost = 0;
-  let realizedPnl = 0;
+// cumulative TWR over "market|symbol" keys (base: convert to one currency); null without price history
+function timeWeightedReturn(ledgerObj, keys, account=ALL_ACCOUNTS, base=null){
+  const hist = new Map();
+  for(const k of keys){
+    const [m, s] = k.split("|");
+    const h = getCachedPriceHistory(m, s);
+    if(h.length<2) return null;
+    hist.set(k, h);
+  }
+  const recs = sortByTimestamp(ledgerObj.lots.filter(x => x && hist.has(keyOf(x.market, x.symbol)) && recInAccount(x, account)));
+  if(recs.length===0) return null;
+
+  const qty = new Map();
+  const lastTrade = new Map();
+  const money = (k, amount, date)=> base ? convertCurrency(ledgerObj, amount, marketToCurrency(k.split("|")[0]), base, date) : amount;
+  // close on or before date; the price book when it is newer; before the history starts, the last trade price.
+  // dates only move forward (trade days in order, then today), so each key keeps a cursor into its history
+  const cursors = new Map(Array.from(hist, ([k, h]) => [k, {h, i: 0, px: null, book: getLatestPrice(ledgerObj, ...k.split("|"))}]));
+  const priceOn = (k, date)=>{
+    const c = cursors.get(k);
+    while(c.i < c.h.length && c.h[c.i].date <= date){ c.px = toNumber(c.h[c.i].close,0); c.i++; }
+    if(c.book && c.book.date <= date && c.book.date > c.h[c.h.length-1].date) return c.book.price;
+    return c.px ?? lastTrade.get(k) ?? null;
+  };
+  const valueOn = (date)=>{
+    let v = 0;
+    for(const [k, q] of qty){
+      if(q<=1e-9) continue;
+      const px = priceOn(k, date);
+      if(px==null) return NaN;
+      v += money(k, q*px, date);
+    }
+    return v;
+  };
+
+  const byDate = new Map();
+  for(const r of recs){
+    const d = String(r.timestamp||"").slice(0,10);
+    if(!byDate.has(d)) byDate.set(d, []);
+    byDate.get(d).push(r);
+  }
+  let growth = 1, start = 0, income = 0;
+  for(const [date, day] of byDate){
+    // corporate actions take effect at the open, dividends / returned cash are income of the period that ends today
+    for(const r of day){
+      const k = keyOf(r.market, r.symbol);
+      if(r.type==="ACTION"){
+        const q = qty.get(k) ?? 0;
+        income += money(k, applyCorporateAction(r.market, q, 0, r).cash, date);
+        qty.set(k, qtyAfterRecord(q, r));
+      }else if(r.type==="DIVIDEND"){
+        income += money(k, dividendNet(r), date);
+      }else if(isTradeType(r.type)){
+        lastTrade.set(k, toNumber(r.price,0));
+      }
+    }
+    const before = valueOn(date);
+    if(!Number.isFinite(before) || !Number.isFinite(income)) return null;
+    if(start>0) growth *= (before + income) / start;
+    income = 0;
+    for(const r of day) if(isTradeType(r.type)){
+      const k = keyOf(r.market, r.symbol);
+      qty.set(k, qtyAfterRecord(qty.get(k) ?? 0, r));
+    }
+    start = valueOn(date);
+    if(!Number.isFinite(start)) return null;
+  }
+  if(start>0){
+    const end = valueOn(formatDateYYYYMMDD(new Date()));
+    if(!Number.isFinite(end)) return null;
+    growth *= end / start;
+  }else if(income){
+    return null;
+  }
+  return growth - 1;
+}
 
+// {xirr, twr} as fractions (0.05 = 5%); null when not computable
+function symbolReturns(ledgerObj, market, symbol, account=ALL_ACCOUNTS){
+  const cf = symbolCashFlows(ledgerObj, market, symbol, account);
+  return {
+    xirr: cf.missingPrice ? null : xirr(cf.flows),
+    twr: timeWeightedReturn(ledgerObj, [keyOf(market, symbol)], account)
+  };
+}
+
+// whole portfolio in the base currency (every symbol ever traded in the account)
+function portfolioReturns(ledgerObj, account, base){
+  const keys = Array.from(new Set(ledgerObj.lots.filter(x => x && recInAccount(x, account)).map(x => keyOf(x.market, x.symbol))));
+  const flows = [];
+  for(const k of keys){
+    const [m, s] = k.split("|");
+    const cf = symbolCashFlows(ledgerObj, m, s, account, base);
+    if(cf.missingPrice || cf.flows.some(f => !Number.isFinite(f.amount))) return {xirr: null, twr: timeWeightedReturn(ledgerObj, keys, account, base)};
+    flows.push(...cf.flows);
+  }
+  return {xirr: xirr(flows), twr: timeWeightedReturn(ledgerObj, keys, account, base)};
+}
+
+// returns for the holdings table / query summary, kept until the ledger or a price history changes (or the day rolls over)
+const returnsCache = {version: null, map: new Map()};
+function cachedReturns(key, compute){
+  const v = `${dataVersion}|${formatDateYYYYMMDD(new Date())}`;
+  if(returnsCache.version!==v){ returnsCache.version = v; returnsCache.map.clear(); }
+  if(!returnsCache.map.has(key)) returnsCache.map.set(key, compute());
+  return returnsCache.map.get(key);
+}
+
+function fmtReturns(ret){
+  const pct = (x)=> x==null ? "—" : fmtPct(x*100);
+  return {xirr: pct(ret.xirr), twr: pct(ret.twr)};
+}
+
+
+
+function buildLogForOne(ledger, market, symbol, account=ALL_ACCOUNTS){
+  const rows = sortByTimestamp(ledger.lots.filter(x => x && x.market===market && x.symbol===symbol && recInAccount(x, account)));
+
+  const book = new Map();
+  let pos = bookPosition(book, ledger, market, symbol, account);
   const timeline = [];
   for(const r of rows){
     const side = r.type;
-    const q = toNumber(r.qty,0);
-    const px = toNumber(r.price,0);
-    const fee = toNumber(r.fee,0);
-    if(side==="BUY"){
-      const totalCost = holdingQty*avgCost + q*px + fee;
-      holdingQty += q;
-      avgCost = holdingQty>0 ? totalCost/holdingQty : 0;
-    }else if(side==="SELL"){
-      const proceeds = q*px - fee;
-      const costBasis = q*avgCost;
-      realizedPnl += (proceeds - costBasis);
-      holdingQty -= q;
-      if(holdingQty<=0){ holdingQty=0; avgCost=0; }
-    }
-    timeline.push({
+    const before = pos.qty;
+    const step = applyRecordToBook(book, ledger, r);
+    pos = bookPosition(book, ledger, market, symbol, account);
+    const row = {
       idx: timeline.length+1,
       id: r.id || null,
       ts: String(r.timestamp||""),
       side,
-      q,
-      px,
-      avg: avgCost,
-      afterQty: holdingQty,
-      fee: fee
-    });
+      account: side==="ACTION" ? null : accountOf(r),
+      q: toNumber(r.qty,0),
+      px: toNumber(r.price,0),
+      avg: pos.avg,
+      afterQty: pos.qty,
+      fee: toNumber(r.fee,0)
+    };
+    if(isTradeType(side)) row.tax = toNumber(r.tax,0);
+    if(side==="SELL"){
+      row.realized = step.realized;
+      row.closed = step.closed;
+      if(step.wash) row.wash = step.wash;
+    }else if(side==="BUY" && step.washAdj){
+      row.washAdj = step.washAdj;
+    }else if(side==="DIVIDEND"){
+      const gross = dividendGross(r);
+      row.fee = 0;
+      row.amount = gross;
+      row.tax = toNumber(r.tax,0);
+      row.px = (r.perShare!=null) ? toNumber(r.perShare,0) : (row.q>0 ? gross/row.q : 0);
+    }else if(side==="ACTION"){
+      row.action = r.action;
+      row.q = pos.qty - before;
+      row.px = 0;
+      row.fee = 0;
+      row.cash = step.cash;
+      row.note = corporateActionLabel(r);
+    }
+    timeline.push(row);
+  }
+  const washDisallowed = timeline.reduce((s,x)=>s + (x.wash?.disallowed || 0), 0);
+  return {currency: marketToCurrency(market), method: getCostMethod(ledger, market), account, holdingQty: pos.qty, washDisallowed, avgCost: pos.avg, realizedPnl: pos.realized, dividendIncome: pos.dividends, openLots: pos.openLots, rows: timeline};
+}
+
+// ---------------- Cash dividends ----------------
+// DIVIDEND record: {type:"DIVIDEND", timestamp(pay date), qty(shares entitled), perShare, amount(gross total), tax(withholding)}
+function dividendGross(r){
+  if(r?.amount!=null && String(r.amount).trim()!=="") return toNumber(r.amount,0);
+  return toNumber(r?.perShare,0) * toNumber(r?.qty,0);
+}
+function dividendNet(r){
+  return dividendGross(r) - toNumber(r?.tax,0);
+}
+
+// Build a DIVIDEND record from raw inputs (form / CSV). Returns {rec} or {error}.
+// - qty blank -> holdings at pay date
+// - amount blank -> perShare × qty (TW: 元以下捨去, US: rounded to cents)
+function buildDividendRecord(ledgerObj, {ts, market, symbol, account, qtyRaw, perShareRaw, amountRaw, taxRaw}){
+  const qtyBlank = String(qtyRaw??"").trim()==="";
+  const psBlank = String(perShareRaw??"").trim()==="";
+  const amtBlank = String(amountRaw??"").trim()==="";
+  const taxBlank = String(taxRaw??"").trim()==="";
+
+  const qty = qtyBlank ? holdingQtyAt(ledgerObj, market, symbol, ts, account||DEFAULT_ACCOUNT) : toNumber(qtyRaw, NaN);
+  const perShare = psBlank ? null : toNumber(perShareRaw, NaN);
+  const tax = taxBlank ? 0 : toNumber(taxRaw, NaN);
+
+  if(!Number.isFinite(qty) || qty<0) return {error:"股數需為 0 或正數"};
+  if(psBlank && amtBlank) return {error:"現金股利需填每股股利或股利總額"};
+  if(!psBlank && (!Number.isFinite(perShare) || perShare<=0)) return {error:"每股股利需為正數"};
+  if(!Number.isFinite(tax) || tax<0) return {error:"扣繳稅額需為 0 或正數"};
+
+  let amount;
+  if(amtBlank){
+    if(qty<=0) return {error:"發放日沒有庫存，請直接填股利總額"};
+    const raw = perShare * qty;
+    amount = (market==="TW") ? Math.floor(raw + 1e-9) : Math.round(raw*100)/100;
+  }else{
+    amount = toNumber(amountRaw, NaN);
+    if(!Number.isFinite(amount) || amount<=0) return {error:"股利總額需為正數"};
+  }
+  if(tax > amount) return {error:"扣繳稅額不能大於股利總額"};
+
+  return {rec:{id:uuid(), timestamp:ts, market, symbol, account: account||DEFAULT_ACCOUNT, type:"DIVIDEND", qty, perShare, amount, tax}};
+}
+
+// ---------------- Corporate actions ----------------
+// ACTION record: {type:"ACTION", action, timestamp(ex-date), ...}
+// - SPLIT:     ratio = new shares per old share (4 = 1→4 split, 0.1 = 10→1 reverse split)
+// - STOCK_DIV: per1000 = shares distributed per 1,000 held (配股)
+// - CAPRED:    cancelPer1000 = shares cancelled per 1,000 held, cashPerShare = cash returned per old share (減資)
+const CORPORATE_ACTIONS = ["SPLIT","STOCK_DIV","CAPRED"];
+
+// TW shares are whole shares (零頭股 are paid out in cash); US keeps fractional shares
+function roundShares(market, x){
+  if(market==="TW") return Math.floor(x + 1e-9);
+  return Math.round(x * 1e6) / 1e6;
+}
+
+// Apply one corporate action to a position (qty + total cost). Returns {qty, cost, realized, cash}.
+// Total cost is kept across splits / stock dividends; returned cash reduces cost, any excess is realized.
+function applyCorporateAction(market, qty, cost, r){
+  const out = {qty, cost, realized:0, cash:0};
+  if(!(qty>0)) return out;
+  if(r.action==="SPLIT"){
+    out.qty = roundShares(market, qty * toNumber(r.ratio,1));
+  }else if(r.action==="STOCK_DIV"){
+    out.qty = qty + roundShares(market, qty * toNumber(r.per1000,0) / 1000);
+  }else if(r.action==="CAPRED"){
+    out.qty = roundShares(market, qty * (1000 - toNumber(r.cancelPer1000,0)) / 1000);
+    const rawCash = qty * toNumber(r.cashPerShare,0);
+    out.cash = (market==="TW") ? Math.floor(rawCash + 1e-9) : Math.round(rawCash*100)/100;
+    if(out.qty<=0){
+      out.realized = out.cash - cost;
+      out.cost = 0;
+    }else{
+      out.cost = cost - out.cash;
+      if(out.cost<0){ out.realized = -out.cost; out.cost = 0; }
+    }
+  }
+  return out;
+}
+
+function corporateActionLabel(r){
+  if(r.action==="SPLIT"){
+    const ratio = toNumber(r.ratio,1);
+    return ratio>=1 ? `分割 1→${fmtRatio(ratio)}` : `反分割 ${fmtRatio(1/ratio)}→1`;
+  }
+  if(r.action==="STOCK_DIV") return `配股 每千股配 ${fmtRatio(r.per1000)} 股`;
+  if(r.action==="CAPRED"){
+    const cancel = toNumber(r.cancelPer1000,0);
+    const cash = toNumber(r.cashPerShare,0);
+    return `減資 每千股消除 ${fmtRatio(cancel)} 股` + (cash>0 ? `，每股退 ${fmtRatio(cash)}` : "");
   }
-  return {currency: marketToCurrency(market), holdingQty, avgCost, realizedPnl, rows: timeline};
+  return "公司行動";
+}
+
+function fmtRatio(x){
+  const n = toNumber(x,0);
+  return String(Math.round(n*10000)/10000);
+}
+
+// Build an ACTION record from raw inputs. Returns {rec} or {error}.
+function buildCorporateActionRecord(ledgerObj, {ts, market, symbol, action, fromRaw, toRaw, per1000Raw, cashRaw}){
+  if(!CORPORATE_ACTIONS.includes(action)) return {error:"公司行動類型錯誤"};
+  if(holdingQtyAt(ledgerObj, market, symbol, ts) <= 0) return {error:"生效日當時沒有庫存，無法套用公司行動"};
+
+  const rec = {id:uuid(), timestamp:ts, market, symbol, type:"ACTION", action};
+  if(action==="SPLIT"){
+    const from = toNumber(fromRaw, NaN);
+    const to = toNumber(toRaw, NaN);
+    if(!Number.isFinite(from) || from<=0 || !Number.isFinite(to) || to<=0) return {error:"分割比例需為正數（例如 1 → 4）"};
+    if(from===to) return {error:"分割前後股數相同，不需要記錄"};
+    rec.ratio = to / from;
+  }else if(action==="STOCK_DIV"){
+    const per1000 = toNumber(per1000Raw, NaN);
+    if(!Number.isFinite(per1000) || per1000<=0) return {error:"每千股配發股數需為正數"};
+    rec.per1000 = per1000;
+  }else{
+    const cancel = String(per1000Raw??"").trim()==="" ? 0 : toNumber(per1000Raw, NaN);
+    const cash = String(cashRaw??"").trim()==="" ? 0 : toNumber(cashRaw, NaN);
+    if(!Number.isFinite(cancel) || cancel<0 || cancel>1000) return {error:"每千股消除股數需介於 0～1000"};
+    if(!Number.isFinite(cash) || cash<0) return {error:"每股退還現金需為 0 或正數"};
+    if(cancel===0 && cash===0) return {error:"減資需填消除股數或退還現金"};
+    rec.cancelPer1000 = cancel;
+    rec.cashPerShare = cash;
+  }
+  return {rec};
+}
+
+// qty after applying one record; dividends leave qty unchanged
+function qtyAfterRecord(qty, r){
+  const q = toNumber(r?.qty,0);
+  if(r?.type==="BUY") return qty + q;
+  if(r?.type==="SELL") return qty - q;
+  if(r?.type==="ACTION") return applyCorporateAction(r.market, qty, 0, r).qty;
+  return qty;
+}
+
+function isTradeType(type){ return type==="BUY" || type==="SELL"; }
+
+function sideLabel(type, long=false){
+  if(type==="BUY") return long ? "買進" : "買";
+  if(type==="SELL") return long ? "賣出" : "賣";
+  if(type==="DIVIDEND") return long ? "現金股利" : "息";
+  if(type==="ACTION") return long ? "公司行動" : "權";
+  return String(type||"");
+}
+
+// holding qty for one symbol right at ts (records at the same timestamp are included)
+function holdingQtyAt(ledgerObj, market, symbol, ts, account=ALL_ACCOUNTS){
+  const rows = (ledgerObj?.lots||[])
+    .filter(r => r && r.market===market && r.symbol===symbol && String(r.timestamp) <= String(ts) && recInAccount(r, account))
+    .sort((a,b)=>String(a.timestamp).localeCompare(String(b.timestamp)));
+  const map = new Map();
+  for(const r of rows) applyRecordToQtyMap(map, r);
+  let qty = 0;
+  for(const q of map.values()) qty += Math.max(0, q);
+  return qty;
 }
 
 function buildChartData(log, manualPrice, planQty){
@@ -228,14 +1608,28 @@ function buildChartData(log, manualPrice, planQty){
   const avg = [];
   const qtyAfter = [];
   const points = [];
+  const action = [];
 
-  // trades
+  // trades (dividends don't move price/avg, so they are left off the chart)
   for(const r of (log?.rows || [])){
+    if(r.side==="DIVIDEND") continue;
     const idx = r.idx;
     labels.push(String(idx));
+
+    if(r.side==="ACTION"){
+      // corporate action: no trade price, marker sits on the adjusted avg cost
+      price.push(null);
+      avg.push(r.avg);
+      qtyAfter.push(r.afterQty);
+      action.push(r.avg);
+      points.push({kind:"action", date:String(r.ts||"").slice(0,10), line2:r.note});
+      continue;
+    }
+
     price.push(r.px);
     avg.push(r.avg);
     qtyAfter.push(r.afterQty);
+    action.push(null);
 
     const date = String(r.ts||"").slice(0,10);
     const side = r.side==="BUY" ? "B" : "S";
@@ -253,6 +1647,7 @@ function buildChartData(log, manualPrice, planQty){
     price.push(mp);                    // today's price
     avg.push(toNumber(log?.avgCost, 0)); // keep avg cost line extended (avg doesn't change)
     qtyAfter.push(toNumber(log?.holdingQty, 0));
+    action.push(null);
     points.push({kind:"today", date, line2:`現價 @${fmtNum(mp,2)}`});
   }
 
@@ -274,11 +1669,98 @@ function buildChartData(log, manualPrice, planQty){
     planAvg[planIndex] = planAvgValue;
   }
 
-  return {labels, price, avg, qtyAfter, points, planAvg, planAvgValue, planQty: (planAvg ? planQty : null), planIndex};
+  const hasAction = action.some(v => v!==null);
+  return {labels, price, avg, qtyAfter, points, action: (hasAction ? action : null), planAvg, planAvgValue, planQty: (planAvg ? planQty : null), planIndex};
+}
+
+// corporate-action markers (shared by the on-screen chart and the A4 export)
+function chartActionDatasets(cd){
+  if(!cd.action) return [];
+  return [{
+    label: "公司行動",
+    data: cd.action,
+    showLine: false,
+    pointStyle: "triangle",
+    pointRadius: 8,
+    pointHoverRadius: 9,
+    borderColor: "#7c3aed",
+    backgroundColor: "#7c3aed"
+  }];
+}
+
+// Date-axis chart (used when price history exists): close line + BUY/SELL points + stepped avg cost.
+// Points carry `lines` (tooltip / A4 export labels).
+function buildDateChartData(log, history, manualPrice, planQty){
+  const close = history.map(h => ({x: dateToDayNumber(h.date), y: h.close, bar: h}));
+  const buys = [], sells = [], actions = [], avg = [];
+  for(const r of (log?.rows || [])){
+    if(r.side==="DIVIDEND") continue;
+    const date = String(r.ts||"").slice(0,10);
+    const x = dateToDayNumber(date);
+    if(r.side==="ACTION"){
+      actions.push({x, y: r.avg, lines:[`#${r.idx} ${date}`, r.note, `庫存：${fmtInt(r.afterQty)}`]});
+    }else{
+      const qtySigned = r.side==="BUY" ? `+${fmtInt(r.q)}` : `-${fmtInt(r.q)}`;
+      const pt = {x, y: r.px, lines:[`#${r.idx} ${date}`, `${r.side==="BUY" ? "B" : "S"} @${fmtNum(r.px,2)}｜${qtySigned}`, `庫存：${fmtInt(r.afterQty)}`]};
+      (r.side==="BUY" ? buys : sells).push(pt);
+    }
+    // no holdings → gap in the avg cost line
+    avg.push({x, y: r.afterQty>0 ? r.avg : null});
+  }
+
+  const mp = toNumber(manualPrice, NaN);
+  const todayDate = formatDateYYYYMMDD(new Date());
+  const holdQ = toNumber(log?.holdingQty, 0);
+  const avg0 = toNumber(log?.avgCost, 0);
+  let today = null, plan = null;
+  if(Number.isFinite(mp) && mp>0){
+    today = {x: dateToDayNumber(todayDate), y: mp, lines:[`${todayDate} 現價`, `現價 @${fmtNum(mp,2)}`, `庫存：${fmtInt(holdQ)}`]};
+    if(Number.isFinite(planQty) && planQty>0){
+      const newQ = holdQ + planQty;
+      const v = newQ>0 ? (holdQ*avg0 + planQty*mp)/newQ : 0;
+      plan = {x: today.x, y: v, lines:[`${todayDate} 預估買後均價`, `買 ${fmtInt(planQty)} @${fmtNum(mp,2)}`, `均價：${fmtNum(v,2)}`]};
+    }
+  }
+
+  const xs = [...close, ...buys, ...sells, ...actions].map(p => p.x).concat(today ? [today.x] : []);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  // extend the current avg cost to the right edge
+  if(avg.length>0 && holdQ>0) avg.push({x: maxX, y: avg0});
+  return {close, buys, sells, actions, avg, today, plan, minX, maxX};
+}
+
+function dateChartDatasets(dc, exportMode=false){
+  const pr = exportMode ? 3 : 1;
+  return [
+    { label: "收盤價", data: dc.close, borderColor: "#94a3b8", backgroundColor: "#94a3b8", borderWidth: 1.5*pr, pointRadius: 0, pointHoverRadius: 3, tension: 0 },
+    { label: "平均成本", data: dc.avg, stepped: "after", spanGaps: false, borderColor: "#ff5c93", backgroundColor: "#ff5c93", borderWidth: 2*pr, pointRadius: 0, pointHoverRadius: 0 },
+    { label: "買進", data: dc.buys, showLine: false, pointRadius: 5*pr, pointHoverRadius: 7, borderColor: "#16a34a", backgroundColor: "#16a34a" },
+    { label: "賣出", data: dc.sells, showLine: false, pointRadius: 5*pr, pointHoverRadius: 7, borderColor: "#dc2626", backgroundColor: "#dc2626" },
+    ...(dc.actions.length ? [{ label: "公司行動", data: dc.actions, showLine: false, pointStyle: "triangle", pointRadius: 8*pr, pointHoverRadius: 9, borderColor: "#7c3aed", backgroundColor: "#7c3aed" }] : []),
+    ...(dc.today ? [{ label: "現價", data: [dc.today], showLine: false, pointStyle: "rectRot", pointRadius: 6*pr, pointHoverRadius: 7, borderColor: "#1e88e5", backgroundColor: "#1e88e5" }] : []),
+    ...(dc.plan ? [{ label: "預估買後均價", data: [dc.plan], showLine: false, pointRadius: 6*pr, pointHoverRadius: 7, borderColor: "#000", backgroundColor: "#000" }] : [])
+  ];
+}
+
+function dateChartXScale(dc, exportMode=false){
+  const pad = Math.max(1, Math.round((dc.maxX - dc.minX) * 0.02));
+  return {
+    type: "linear",
+    min: dc.minX - pad,
+    max: dc.maxX + pad,
+    ticks: {
+      callback: (value)=> dayNumberToDate(value),
+      maxRotation: exportMode ? 45 : 0,
+      autoSkip: true,
+      ...(exportMode ? {padding: 12, color: "#111", font: {size: 22}} : {})
+    },
+    ...(exportMode ? {grid: {color: "rgba(0,0,0,0.08)"}} : {})
+  };
 }
 
 function buildCsvForOne(log){
-  const header = ["idx","date","side","qty","price","fee","afterQty","avgCostAfter"].join(",");
+  const header = ["idx","date","side","qty","price","fee","afterQty","avgCostAfter","amount","tax","account"].join(",");
   const lines = log.rows.map(r => [
     r.idx,
     String(r.ts||"").replace(/,/g," "),
@@ -287,11 +1769,57 @@ function buildCsvForOne(log){
     r.px,
     (r.fee ?? 0),
     r.afterQty,
-    r.avg
+    r.avg,
+    (r.amount ?? ""),
+    (r.tax ?? ""),
+    r.account ? accountName(ledger, r.account).replace(/,/g," ") : ""
   ].join(","));
   return [header, ...lines].join("\n");
 }
 
+// ---------------- Ledger CSV export ----------------
+// Same columns csvFieldsToRecord reads (checked by previewCsvImport), plus id / accountId / extra (JSON of every field without
+// its own column: closes, dayTrade, corporate-action parameters…), so export → import is lossless.
+const LEDGER_CSV_COLUMNS = ["id","market","symbol","side","date","time","qty","price","fee","amount","tax","secFee","taf","account","accountId","extra"];
+const LEDGER_CSV_CORE = new Set(["id","timestamp","market","symbol","type","account","qty","price","fee","amount","tax","secFee","taf","perShare"]);
+
+function csvEscape(v){
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+}
+
+// filters: {market, symbol, from, to} (blank = all; from / to are YYYY-MM-DD, inclusive)
+function filterLedgerRecords(ledgerObj, {market="", symbol="", from="", to=""}={}){
+  const sym = String(symbol||"").trim().toUpperCase();
+  return sortByTimestamp((ledgerObj?.lots||[]).filter(r=>{
+    if(!r) return false;
+    const d = String(r.timestamp||"").slice(0,10);
+    if(market && r.market!==market) return false;
+    if(sym && String(r.symbol||"").toUpperCase()!==sym) return false;
+    if(from && d<from) return false;
+    if(to && d>to) return false;
+    return true;
+  }));
+}
+
+function buildLedgerCsv(ledgerObj, filters){
+  const lines = filterLedgerRecords(ledgerObj, filters).map(r=>{
+    const [date, time] = String(r.timestamp||"").split(" ");
+    const extra = {};
+    for(const [k, v] of Object.entries(r)) if(!LEDGER_CSV_CORE.has(k) && v!==undefined) extra[k] = v;
+    const acct = r.type==="ACTION" ? "" : accountOf(r);
+    const cols = {
+      id: r.id, market: r.market, symbol: r.symbol, side: r.type, date, time,
+      qty: r.qty, price: r.type==="DIVIDEND" ? r.perShare : r.price,
+      fee: r.fee, amount: r.amount, tax: r.tax, secFee: r.secFee, taf: r.taf,
+      account: acct ? accountName(ledgerObj, acct) : "", accountId: acct,
+      extra: Object.keys(extra).length ? JSON.stringify(extra) : ""
+    };
+    return LEDGER_CSV_COLUMNS.map(c => csvEscape(cols[c])).join(",");
+  });
+  return {count: lines.length, csv: [LEDGER_CSV_COLUMNS.join(","), ...lines].join("\n")};
+}
+
 function downloadText(filename, text, mime="text/plain"){
   const blob = new Blob([text], {type:mime});
   const url = URL.createObjectURL(blob);
@@ -316,9 +1844,11 @@ function parseTimestamp(dateStr, timeStr){
 
 // ---------------- CSV import (external trades) ----------------
 // CSV columns (header-based) supported:
-// market, symbol, side, date, time, qty, price, fee
+// market, symbol, side, date, time, qty, price, fee, amount, tax, secFee, taf
 // - time can be blank -> default 09:00 (per user)
-// - fee can be blank
+// - fee / tax can be blank -> filled by the fee engine (default broker profile)
+// - side DIVIDEND: price = per-share dividend, amount = gross total, tax = withholding
+//   (qty may be blank -> holdings on that date)
 function detectCsvDelimiter(line){
   const candidates = [",",";","\t"];
   let best = ","; let bestCount = -1;
@@ -369,32 +1899,35 @@ function parseCsv(text){
   const hdr = rows[0].map(v=>String(v||"").trim());
   const hdrJoined = hdr.join("|").toLowerCase();
   const looksLikeHeader =
-    /market|symbol|side|date|time|qty|price|fee/.test(hdrJoined) ||
-    /市場|代號|股票|買|賣|日期|時間|數量|價格|手續費/.test(hdr.join("|"));
+    /market|symbol|side|date|time|qty|price|fee|amount/.test(hdrJoined) ||
+    /市場|代號|股票|買|賣|日期|時間|數量|價格|手續費|股利/.test(hdr.join("|"));
 
   if(looksLikeHeader) return {header: hdr, rows: rows.slice(1), delim};
   return {header: null, rows, delim};
 }
 
-function csvHeaderIndexMap(header){
-  const map = {};
-  if(!header) return map;
-  const norm = header.map(h=>String(h||"").trim().toLowerCase());
-  function idxOf(keys){
+// index of the first header cell matching one of keys (exact first, then partial match for Chinese headers)
+function csvColumnIndex(header, keys, partial=true){
+  const norm = (header||[]).map(h=>String(h||"").trim().toLowerCase());
+  for(const k of keys){
+    const kk = String(k).toLowerCase();
+    const i = norm.findIndex(x=>x===kk);
+    if(i>=0) return i;
+  }
+  if(!partial) return -1;
+  for(let i=0;i<norm.length;i++){
+    const h = norm[i];
     for(const k of keys){
-      const kk = String(k).toLowerCase();
-      const i = norm.findIndex(x=>x===kk);
-      if(i>=0) return i;
-    }
-    // allow partial match for Chinese headers
-    for(let i=0;i<norm.length;i++){
-      const h = norm[i];
-      for(const k of keys){
-        if(h.includes(String(k).toLowerCase())) return i;
-      }
+      if(h.includes(String(k).toLowerCase())) return i;
     }
-    return -1;
   }
+  return -1;
+}
+
+function csvHeaderIndexMap(header){
+  const map = {};
+  if(!header) return map;
+  const idxOf = (keys)=> csvColumnIndex(header, keys);
   map.market = idxOf(["market","市場"]);
   map.symbol = idxOf(["symbol","股票代號","代號","ticker"]);
   map.side   = idxOf(["side","買賣","買/賣","type"]);
@@ -403,6 +1936,15 @@ function csvHeaderIndexMap(header){
   map.qty    = idxOf(["qty","quantity","數量","股數"]);
   map.price  = idxOf(["price","價格","單價"]);
   map.fee    = idxOf(["fee","手續費","commission"]);
+  map.amount = idxOf(["amount","股利總額","金額"]);
+  map.tax    = idxOf(["tax","扣繳","稅額","證交稅","交易稅"]);
+  map.secFee = idxOf(["secfee","sec fee","sec_fee"]);
+  map.taf    = idxOf(["taf","finra"]);
+  map.account = idxOf(["account","帳戶","帳號"]);
+  // written by the ledger CSV export; exact names only ("id" is part of too many headers)
+  map.id        = csvColumnIndex(header, ["id"], false);
+  map.accountId = csvColumnIndex(header, ["accountid","account id"], false);
+  map.extra     = csvColumnIndex(header, ["extra"], false);
   return map;
 }
 
@@ -411,44 +1953,295 @@ function normalizeCsvSide(v){
   if(!s) return null;
   if(s==="BUY" || s==="B") return "BUY";
   if(s==="SELL" || s==="S") return "SELL";
+  if(s==="DIVIDEND" || s==="DIV") return "DIVIDEND";
+  if(s==="ACTION") return "ACTION";
   const zh = String(v||"").trim();
+  if(zh.includes("股利") || zh.includes("配息")) return "DIVIDEND";
   if(zh.includes("買")) return "BUY";
   if(zh.includes("賣")) return "SELL";
   return null;
 }
 
+// dates outside this range are typos, not trades
+const CSV_MIN_YEAR = 1950;
+const CSV_MAX_YEAR = 2100;
+
 function normalizeCsvDate(v){
   let s = String(v||"").trim();
   if(!s) return null;
-  // allow YYYY/MM/DD or YYYY.MM.DD or YYYYMMDD
+  // allow YYYY/MM/DD or YYYY.MM.DD or YYYYMMDD (ROC dates are converted by the TW statement preset)
   s = s.replace(/[\.\/]/g,"-");
   if(/^\d{8}$/.test(s)){
     s = `${s.slice(0,4)}-${s.slice(4,6)}-${s.slice(6,8)}`;
   }
+  const m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if(m) s = `${m[1]}-${pad2(m[2])}-${pad2(m[3])}`;
   if(!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const year = Number(s.slice(0,4));
+  if(year<CSV_MIN_YEAR || year>CSV_MAX_YEAR) return null;
+  // reject calendar-impossible dates such as 2024-13-01 or 2023-02-30
+  const d = new Date(`${s}T00:00:00Z`);
+  if(isNaN(d) || d.toISOString().slice(0,10)!==s) return null;
   return s;
 }
 
-function normalizeCsvTime(v){
-  let s = String(v||"").trim();
-  if(!s) return "09:00";
-  // allow H:MM or HH:MM or HH:MM:SS
-  if(/^\d{1}:\d{2}$/.test(s)) s = "0"+s;
-  if(/^\d{2}:\d{2}:\d{2}$/.test(s)) return s.slice(0,5);
-  if(/^\d{2}:\d{2}$/.test(s)) return s;
-  return null;
+function normalizeCsvTime(v){
+  let s = String(v||"").trim();
+  if(!s) return "09:00";
+  // allow H:MM or HH:MM or HH:MM:SS (seconds are kept)
+  if(/^\d{1}:\d{2}$/.test(s)) s = "0"+s;
+  if(/^\d{1}:\d{2}:\d{2}$/.test(s)) s = "0"+s;
+  if(/^\d{2}:\d{2}:\d{2}$/.test(s)) return s;
+  if(/^\d{2}:\d{2}$/.test(s)) return s;
+  return null;
+}
+
+function inferMarketFromSymbol(symbol){
+  const s = String(symbol||"").trim();
+  const listed = symbolMarkets(s);
+  if(listed.length===1) return listed[0];
+  if(/^\d{4,6}$/.test(s)) return "TW";
+  return "US";
+}
+
+function recDedupeKey(rec){
+  // do NOT include id
+  const fee = (rec.fee ?? 0);
+  if(rec.type==="DIVIDEND"){
+    return [accountOf(rec), rec.market, rec.symbol, rec.type, rec.timestamp, rec.qty, rec.perShare ?? "", rec.amount ?? "", rec.tax ?? 0].join("|");
+  }
+  // corporate actions have no account / qty / price: two actions on one ex-date differ by kind and parameters
+  if(rec.type==="ACTION"){
+    return [rec.market, rec.symbol, rec.type, rec.timestamp, rec.action ?? "", rec.ratio ?? "", rec.per1000 ?? "", rec.cancelPer1000 ?? "", rec.cashPerShare ?? ""].join("|");
+  }
+  return [accountOf(rec), rec.market, rec.symbol, rec.type, rec.timestamp, rec.qty, rec.price, fee].join("|");
+}
+
+// ---------------- Broker CSV presets ----------------
+// Each preset recognises a broker export and turns it into the same {line, fields} rows the importer uses.
+// table = all parsed rows (header included); rows that aren't trades/dividends come back as {line, skip:true}.
+
+function csvCell(v){
+  // Excel-style ="2330" and stray quotes
+  return String(v??"").trim().replace(/^="?|"$/g,"").trim();
+}
+
+// "$1,234.50" / "(12.30)" / "-$5" → number string ("" if blank)
+function parseMoney(v){
+  let s = csvCell(v).replace(/[$,\s]/g,"");
+  if(!s || s==="--") return "";
+  let neg = false;
+  if(/^\(.*\)$/.test(s)){ neg = true; s = s.slice(1,-1); }
+  if(s.startsWith("-")){ neg = !neg; s = s.slice(1); }
+  const n = Number(s);
+  if(!Number.isFinite(n)) return "";
+  return String(neg ? -n : n);
+}
+
+// "01/05/2024" or "01/05/2024 as of 01/04/2024" → 2024-01-05
+function usDateToIso(v){
+  const m = csvCell(v).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return m ? `${m[3]}-${pad2(m[1])}-${pad2(m[2])}` : "";
+}
+
+// first row (within the first few) whose cells look like a header for this preset
+function findCsvHeaderRow(table, test){
+  const limit = Math.min(table.length, 12);
+  for(let i=0;i<limit;i++){
+    if(test(table[i].map(c=>csvCell(c)))) return i;
+  }
+  return -1;
+}
+
+function twStatementHeaderTest(h){
+  return csvColumnIndex(h, ["買賣別","交易別","交易類別","買賣"])>=0
+    && csvColumnIndex(h, ["成交日期","成交日","交易日期","交易日"])>=0
+    && csvColumnIndex(h, ["股票代號","證券代號","代號","股票名稱"])>=0;
+}
+
+// 民國 YY(Y)/MM/DD (also - or .) or YYYMMDD → YYYY-MM-DD; anything else is left for normalizeCsvDate
+function rocDateToIso(v){
+  const s = String(v||"").trim();
+  const m = s.match(/^(\d{2,3})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/) || s.match(/^(\d{3})(\d{2})(\d{2})$/);
+  if(!m) return s;
+  return `${Number(m[1])+1911}-${pad2(m[2])}-${pad2(m[3])}`;
+}
+
+function extractTwStatement(table){
+  const hi = findCsvHeaderRow(table, twStatementHeaderTest);
+  const h = table[hi].map(c=>csvCell(c));
+  const ix = {
+    side: csvColumnIndex(h, ["買賣別","交易別","交易類別","買賣"]),
+    date: csvColumnIndex(h, ["成交日期","成交日","交易日期","交易日"]),
+    time: csvColumnIndex(h, ["成交時間","時間"]),
+    symbol: csvColumnIndex(h, ["股票代號","證券代號","代號","股票名稱"]),
+    qty: csvColumnIndex(h, ["成交股數","成交數量","股數","數量"]),
+    unit: csvColumnIndex(h, ["單位"]),
+    price: csvColumnIndex(h, ["成交價格","成交價","成交單價","價格","單價"]),
+    fee: csvColumnIndex(h, ["手續費"]),
+    tax: csvColumnIndex(h, ["交易稅","證交稅","稅額"]),
+    amount: csvColumnIndex(h, ["股利","配息金額"]),
+    account: csvColumnIndex(h, ["帳號","帳戶"])
+  };
+  // 「數量(張)」or a 單位 column of 張 means lots of 1000 shares
+  const qtyInLots = ix.qty>=0 && /張/.test(h[ix.qty]);
+  const out = [];
+  for(let i=hi+1;i<table.length;i++){
+    const row = table[i];
+    const cell = (k)=> ix[k]>=0 ? csvCell(row[ix[k]]) : "";
+    const line = i+1;
+    const sideText = cell("side");
+    const code = (cell("symbol").match(/^[0-9]{4,6}[A-Z]?/) || [""])[0];
+    if(!code || !sideText){ out.push({line, skip:true}); continue; }
+    let side = "";
+    if(/股利|配息|除息/.test(sideText)) side = "DIVIDEND";
+    else if(/賣/.test(sideText)) side = "SELL";
+    else if(/買/.test(sideText)) side = "BUY";
+    if(!side){ out.push({line, skip:true}); continue; }
+
+    const qtyText = cell("qty");
+    let qty = toNumber(qtyText.replace(/[張股]/g,""), NaN);
+    if(Number.isFinite(qty) && (qtyInLots || /張/.test(qtyText) || /張/.test(cell("unit")))) qty *= 1000;
+    const dt = cell("date").split(/\s+/);
+    out.push({line, fields: {
+      market: "TW",
+      symbol: code,
+      side,
+      date: rocDateToIso(dt[0]),
+      time: cell("time") || dt[1] || "",
+      qty: Number.isFinite(qty) ? String(qty) : qtyText,
+      price: cell("price"),
+      fee: parseMoney(cell("fee")),
+      tax: parseMoney(cell("tax")),
+      amount: parseMoney(cell("amount")),
+      account: cell("account"),
+      dayTrade: /沖/.test(sideText)
+    }});
+  }
+  return out;
+}
+
+function schwabHeaderTest(h){
+  return csvColumnIndex(h, ["Action"])>=0 && csvColumnIndex(h, ["Fees & Comm"])>=0
+    && csvColumnIndex(h, ["Symbol"])>=0 && csvColumnIndex(h, ["Date"])>=0;
+}
+
+function extractSchwab(table){
+  const hi = findCsvHeaderRow(table, schwabHeaderTest);
+  const h = table[hi].map(c=>csvCell(c));
+  const ix = {
+    date: csvColumnIndex(h, ["Date"]),
+    action: csvColumnIndex(h, ["Action"]),
+    symbol: csvColumnIndex(h, ["Symbol"]),
+    qty: csvColumnIndex(h, ["Quantity"]),
+    price: csvColumnIndex(h, ["Price"]),
+    fee: csvColumnIndex(h, ["Fees & Comm"]),
+    amount: csvColumnIndex(h, ["Amount"])
+  };
+  const out = [];
+  const dividends = new Map(); // symbol|date → dividend item (withholding rows get attached as tax)
+  const withholding = [];
+  for(let i=hi+1;i<table.length;i++){
+    const row = table[i];
+    const cell = (k)=> ix[k]>=0 ? csvCell(row[ix[k]]) : "";
+    const line = i+1;
+    const action = cell("action").toLowerCase();
+    const symbol = cell("symbol").toUpperCase();
+    const date = usDateToIso(cell("date"));
+    if(!symbol || !date){ out.push({line, skip:true}); continue; }
+    let side = "";
+    if(action==="buy" || action==="reinvest shares") side = "BUY";
+    else if(action==="sell") side = "SELL";
+    else if(/dividend|cap gain/.test(action) && !/adj/.test(action)) side = "DIVIDEND";
+    else if(/nra tax|withholding|foreign tax/.test(action)){
+      withholding.push({line, key: `${symbol}|${date}`, amount: Math.abs(toNumber(parseMoney(cell("amount")),0))});
+      continue;
+    }
+    if(!side){ out.push({line, skip:true}); continue; }
+    const item = {line, fields: {
+      market: "US", symbol, side, date, time: "",
+      qty: side==="DIVIDEND" ? "" : parseMoney(cell("qty")),
+      price: side==="DIVIDEND" ? "" : parseMoney(cell("price")),
+      fee: side==="DIVIDEND" ? "" : String(Math.abs(toNumber(parseMoney(cell("fee")),0))),
+      secFee: "0", taf: "0",
+      amount: side==="DIVIDEND" ? String(Math.abs(toNumber(parseMoney(cell("amount")),0))) : "",
+      tax: side==="DIVIDEND" ? "0" : ""
+    }};
+    if(side==="DIVIDEND") dividends.set(`${symbol}|${date}`, item);
+    out.push(item);
+  }
+  for(const w of withholding){
+    const d = dividends.get(w.key);
+    if(d) d.fields.tax = String(toNumber(d.fields.tax,0) + w.amount);
+    else out.push({line: w.line, skip:true});
+  }
+  out.sort((a,b)=>a.line-b.line);
+  return out;
+}
+
+// IBKR activity statement: every row starts with "<Section>,<Header|Data|Total|…>"
+function extractIbkrActivity(table){
+  const headers = {};
+  const out = [];
+  const dividends = new Map();
+  const withholding = [];
+  for(let i=0;i<table.length;i++){
+    const row = table[i].map(c=>csvCell(c));
+    const line = i+1;
+    const section = row[0], kind = row[1];
+    if(kind==="Header"){ headers[section] = row; continue; }
+    const h = headers[section];
+    if(kind!=="Data" || !h){ out.push({line, skip:true}); continue; }
+    const cell = (keys)=>{ const k = csvColumnIndex(h, keys); return k>=0 ? (row[k] ?? "") : ""; };
+
+    if(section==="Trades"){
+      if(cell(["DataDiscriminator"])!=="Order" || !/^Stocks$/i.test(cell(["Asset Category"])) || cell(["Currency"])!=="USD"){
+        out.push({line, skip:true}); continue;
+      }
+      const q = toNumber(cell(["Quantity"]), NaN);
+      const [date, time] = cell(["Date/Time"]).split(/,\s*/);
+      out.push({line, fields: {
+        market: "US", symbol: cell(["Symbol"]).toUpperCase(),
+        side: q<0 ? "SELL" : "BUY", date, time: time||"",
+        qty: Number.isFinite(q) ? String(Math.abs(q)) : "",
+        price: cell(["T. Price"]),
+        fee: String(Math.abs(toNumber(cell(["Comm/Fee","Comm in USD"]),0))),
+        secFee: "0", taf: "0"
+      }});
+    }else if(section==="Dividends" || section==="Withholding Tax"){
+      const desc = cell(["Description"]);
+      const symbol = (desc.match(/^([A-Z.]+)\s*\(/) || [])[1];
+      const date = cell(["Date"]);
+      const amount = toNumber(cell(["Amount"]), NaN);
+      if(cell(["Currency"])!=="USD" || !symbol || !Number.isFinite(amount)){ out.push({line, skip:true}); continue; }
+      if(section==="Withholding Tax"){
+        withholding.push({line, key: `${symbol}|${date}`, amount: Math.abs(amount)});
+        continue;
+      }
+      const item = {line, fields: {market: "US", symbol, side: "DIVIDEND", date, time: "", amount: String(amount), tax: "0"}};
+      dividends.set(`${symbol}|${date}`, item);
+      out.push(item);
+    }else{
+      out.push({line, skip:true});
+    }
+  }
+  for(const w of withholding){
+    const d = dividends.get(w.key);
+    if(d) d.fields.tax = String(toNumber(d.fields.tax,0) + w.amount);
+    else out.push({line: w.line, skip:true});
+  }
+  out.sort((a,b)=>a.line-b.line);
+  return out;
 }
 
-function inferMarketFromSymbol(symbol){
-  const s = String(symbol||"").trim();
-  if(/^\d{4,6}$/.test(s)) return "TW";
-  return "US";
-}
+const CSV_PRESETS = [
+  {id:"tw-statement", name:"台股券商對帳單", detect: t => findCsvHeaderRow(t, twStatementHeaderTest)>=0, extract: extractTwStatement},
+  {id:"schwab", name:"Schwab 交易紀錄", detect: t => findCsvHeaderRow(t, schwabHeaderTest)>=0, extract: extractSchwab},
+  {id:"ibkr-activity", name:"IBKR Activity Statement", detect: t => t.some(r => csvCell(r[0])==="Trades" && csvCell(r[1])==="Header"), extract: extractIbkrActivity}
+];
 
-function recDedupeKey(rec){
-  // do NOT include id
-  const fee = (rec.fee ?? 0);
-  return [rec.market, rec.symbol, rec.type, rec.timestamp, rec.qty, rec.price, fee].join("|");
+function detectCsvPreset(table){
+  return CSV_PRESETS.find(p => p.detect(table)) || null;
 }
 
 function ensureCsvImportUI(){
@@ -486,12 +2279,22 @@ function ensureCsvImportUI(){
     btnRow.appendChild(input);
   }
 
+  // broker presets in the wizard's format selector
+  const presetSel = $("csv_preset");
+  if(presetSel){
+    presetSel.insertAdjacentHTML("beforeend", CSV_PRESETS.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join(""));
+    bindCsvWizard();
+  }
+
   input.addEventListener("change", async (e)=>{
     const f = e.target.files?.[0];
     if(!f) return;
+    if(!ledgerWritable()) return;
     try{
       const txt = await f.text();
-      const result = importCsvIntoLedger(txt);
+      const picked = await openCsvWizard(txt);
+      if(!picked) return;
+      const result = commitCsvImport(picked.rows, picked.formatName);
       alert(result.message);
       refreshHoldings();
       try{ updateHeaderStatus(); }catch(_){ }
@@ -511,7 +2314,7 @@ function ensureCsvImportUI(){
     p.style.fontSize = "12px";
     p.style.color = "#666";
     p.style.lineHeight = "1.5";
-    p.innerHTML = `CSV 欄位建議：market,symbol,side,date,time,qty,price,fee（time 可空白，預設 09:00；fee 可空白）`;
+    p.innerHTML = `CSV 欄位建議：market,symbol,side,date,time,qty,price,fee,amount,tax,secFee,taf,account（account＝帳戶名稱，空白＝預設帳戶、新名稱會自動建立帳戶；time 可空白，預設 09:00；fee／tax／secFee／taf 空白時依預設券商費率自動計算）<br>現金股利：side 填 DIVIDEND，price＝每股股利、amount＝股利總額、tax＝扣繳稅額（qty 可空白＝當日庫存）<br>也可直接匯入券商匯出檔：台股券商對帳單（民國日期、張／股）、Schwab 交易紀錄、IBKR Activity Statement；選檔後會先顯示每一列的檢查結果（可改欄位對應、取消勾選或直接修正），按「匯入」才寫入帳本。`;
     // place in backup tab card if possible
     const tab = document.getElementById("tab-backup");
     const card = tab ? tab.querySelector(".card") : null;
@@ -520,80 +2323,225 @@ function ensureCsvImportUI(){
   }
 }
 
-function importCsvIntoLedger(csvText){
-  const {header, rows} = parseCsv(csvText);
-  const snapshot = JSON.stringify(ledger);
-  if(rows.length===0) throw new Error("CSV 沒有資料列");
-
+// fields an import row can carry (also the choices in the wizard's column mapping)
+const CSV_FIELDS = [
+  {key:"market", label:"市場"}, {key:"symbol", label:"代號"}, {key:"side", label:"買/賣"},
+  {key:"date", label:"日期"}, {key:"time", label:"時間"}, {key:"qty", label:"數量"},
+  {key:"price", label:"價格"}, {key:"fee", label:"手續費"}, {key:"amount", label:"股利總額"},
+  {key:"tax", label:"稅"}, {key:"secFee", label:"SEC 規費"}, {key:"taf", label:"TAF"},
+  {key:"account", label:"帳戶"},
+  {key:"id", label:"ID"}, {key:"accountId", label:"帳戶 ID"}, {key:"extra", label:"其他欄位（JSON）"}
+];
+
+// column → field key ("" = ignore). From the header when there is one, else the fixed order of CSV_FIELDS.
+function guessCsvMapping(header, width){
+  const mapping = new Array(width).fill("");
+  if(!header){
+    CSV_FIELDS.forEach((f, i)=>{ if(i<width) mapping[i] = f.key; });
+    return mapping;
+  }
   const idxMap = csvHeaderIndexMap(header);
-  const hasHeader = !!header;
+  // exact-only columns first, so e.g. "accountId" isn't taken as a partial match for account
+  const exactFirst = ["id","accountId","extra"];
+  const order = [...CSV_FIELDS.filter(f => exactFirst.includes(f.key)), ...CSV_FIELDS.filter(f => !exactFirst.includes(f.key))];
+  for(const f of order){
+    const i = idxMap[f.key];
+    if(i>=0 && i<width && !mapping[i]) mapping[i] = f.key;
+  }
+  return mapping;
+}
 
-  const existing = new Set((ledger?.lots||[]).map(recDedupeKey));
-  let imported = 0, skipped = 0;
-  const errors = [];
+// our own layout → [{line, fields}]
+function extractOwnCsvRows({header, rows}, mapping){
+  const width = Math.max(header ? header.length : 0, ...rows.map(r => r.length));
+  const map = mapping || guessCsvMapping(header, width);
+  const offset = header ? 2 : 1; // file line numbers
+  const out = [];
+  rows.forEach((row, r)=>{
+    if(row.every(v=>String(v||"").trim()==="")) return;
+    const fields = {};
+    for(const f of CSV_FIELDS) fields[f.key] = "";
+    map.forEach((key, i)=>{ if(key) fields[key] = row[i] ?? ""; });
+    out.push({line: r+offset, fields});
+  });
+  return out;
+}
 
-  function col(row, idx, fallbackIdx){
-    if(idx>=0) return row[idx] ?? "";
-    if(!hasHeader && Number.isFinite(fallbackIdx)) return row[fallbackIdx] ?? "";
-    return "";
-  }
+// CSV table → import items; presetId: "auto" (detect from the header), "own", or a CSV_PRESETS id
+function extractCsvItems(parsed, presetId="auto", mapping=null){
+  const table = parsed.header ? [parsed.header, ...parsed.rows] : parsed.rows;
+  const preset = presetId==="own" ? null
+    : (presetId==="auto" ? detectCsvPreset(table) : CSV_PRESETS.find(p => p.id===presetId));
+  if(presetId!=="auto" && presetId!=="own" && !preset) throw new Error("未知的 CSV 格式");
+  if(preset && presetId!=="auto" && !preset.detect(table)) throw new Error(`找不到「${preset.name}」的標題列，請確認檔案格式`);
+  const items = preset ? preset.extract(table) : extractOwnCsvRows(parsed, mapping);
+  return {preset, items};
+}
 
-  for(let r=0;r<rows.length;r++){
-    const row = rows[r];
-    if(row.every(v=>String(v||"").trim()==="")) continue;
+// one row's fields → {rec, keys} or {error}. keys = dedupe keys the row counts as (see keysOf / rawRec below).
+// Accounts named in the row are created in ledgerObj.
+function csvFieldsToRecord(ledgerObj, f){
+  const symbol0 = String(f.symbol||"").trim();
+  if(!symbol0) return {error:"缺少股票代號"};
 
-    const marketRaw = col(row, idxMap.market, 0);
-    const symbolRaw = col(row, idxMap.symbol, 1);
-    const sideRaw   = col(row, idxMap.side,   2);
-    const dateRaw   = col(row, idxMap.date,   3);
-    const timeRaw   = col(row, idxMap.time,   4);
-    const qtyRaw    = col(row, idxMap.qty,    5);
-    const priceRaw  = col(row, idxMap.price,  6);
-    const feeRaw    = col(row, idxMap.fee,    7);
+  const market0 = String(f.market||"").trim() ? normalizeMarket(f.market) : inferMarketFromSymbol(symbol0);
+  const symbol  = normalizeSymbol(market0, symbol0);
 
-    const symbol0 = String(symbolRaw||"").trim();
-    if(!symbol0){ errors.push(`第 ${r+1} 列：缺少股票代號`); continue; }
+  const side = normalizeCsvSide(f.side);
+  if(!side) return {error:"買/賣(side) 需為 BUY/SELL/DIVIDEND 或含 買/賣/股利"};
 
-    const market0 = String(marketRaw||"").trim() ? normalizeMarket(marketRaw) : inferMarketFromSymbol(symbol0);
-    const symbol  = normalizeSymbol(market0, symbol0);
+  const date = normalizeCsvDate(f.date);
+  if(!date) return {error:"日期(date) 格式需為 YYYY-MM-DD"};
 
-    const side = normalizeCsvSide(sideRaw);
-    if(!side){ errors.push(`第 ${r+1} 列：買/賣(side) 需為 BUY/SELL 或含 買/賣`); continue; }
+  const time = normalizeCsvTime(f.time);
+  if(time===null) return {error:"時間(time) 格式需為 HH:mm，可空白"};
 
-    const date = normalizeCsvDate(dateRaw);
-    if(!date){ errors.push(`第 ${r+1} 列：日期(date) 格式需為 YYYY-MM-DD`); continue; }
+  const ts = parseTimestamp(date, time);
+  if(!ts) return {error:"日期/時間無法解析"};
+
+  // id + extra come from the ledger CSV export; extra holds every field without its own column
+  const id = String(f.id??"").trim() || uuid();
+  let extra = {};
+  if(String(f.extra??"").trim()){
+    try{ extra = JSON.parse(f.extra); }catch(_){ return {error:"extra 欄位不是合法的 JSON"}; }
+    if(!extra || typeof extra!=="object" || Array.isArray(extra)) return {error:"extra 欄位需為 JSON 物件"};
+  }
+  const withExtra = (rec)=>{
+    for(const [k, v] of Object.entries(extra)) if(!LEDGER_CSV_CORE.has(k)) rec[k] = v;
+    rec.id = id;
+    return rec;
+  };
+  // rows without an id imported before seconds were kept were stored as HH:mm:00: count as that row too
+  const keysOf = (...recs)=>{
+    const keys = recs.map(recDedupeKey);
+    if(!String(f.id??"").trim() && ts.slice(17)!=="00"){
+      for(const r of recs) keys.push(recDedupeKey({...r, timestamp: `${ts.slice(0,16)}:00`}));
+    }
+    return keys;
+  };
 
-    const time = normalizeCsvTime(timeRaw);
-    if(time===null){ errors.push(`第 ${r+1} 列：時間(time) 格式需為 HH:mm，可空白`); continue; }
+  if(side==="ACTION"){
+    const res = buildCorporateActionRecord(ledgerObj, {ts, market:market0, symbol, action: extra.action,
+      fromRaw: 1, toRaw: extra.ratio, per1000Raw: extra.action==="CAPRED" ? extra.cancelPer1000 : extra.per1000, cashRaw: extra.cashPerShare});
+    if(res.error) return {error: res.error};
+    const rec = withExtra(res.rec);
+    return {rec, keys: keysOf(rec)};
+  }
 
-    const ts = parseTimestamp(date, time);
-    if(!ts){ errors.push(`第 ${r+1} 列：日期/時間無法解析`); continue; }
+  const account = resolveAccountById(ledgerObj, f.accountId, f.account);
 
-    const qty = toNumber(qtyRaw, NaN);
-    const price = toNumber(priceRaw, NaN);
-    const fee = String(feeRaw||"").trim()==="" ? 0 : toNumber(feeRaw, NaN);
+  if(side==="DIVIDEND"){
+    const res = buildDividendRecord(ledgerObj, {ts, market:market0, symbol, account, qtyRaw:f.qty, perShareRaw:f.price, amountRaw:f.amount, taxRaw:f.tax});
+    if(res.error) return {error: res.error};
+    const rec = withExtra(res.rec);
+    return {rec, keys: keysOf(rec)};
+  }
 
-    if(!Number.isFinite(qty) || qty<=0){ errors.push(`第 ${r+1} 列：數量(qty)需為正數`); continue; }
-    if(!Number.isFinite(price) || price<=0){ errors.push(`第 ${r+1} 列：價格(price)需為正數`); continue; }
-    if(String(feeRaw||"").trim()!=="" && (!Number.isFinite(fee) || fee<0)){ errors.push(`第 ${r+1} 列：手續費(fee)需為 0 或正數`); continue; }
+  const qty = toNumber(f.qty, NaN);
+  const price = toNumber(f.price, NaN);
+  const feeBlank = String(f.fee??"").trim()==="";
+  const taxBlank = String(f.tax??"").trim()==="";
+  const fee = feeBlank ? 0 : toNumber(f.fee, NaN);
+  const tax = taxBlank ? 0 : toNumber(f.tax, NaN);
+
+  if(!Number.isFinite(qty) || qty<=0) return {error:"數量(qty)需為正數"};
+  if(!Number.isFinite(price) || price<=0) return {error:"價格(price)需為正數"};
+  if(!feeBlank && (!Number.isFinite(fee) || fee<0)) return {error:"手續費(fee)需為 0 或正數"};
+  if(!taxBlank && (!Number.isFinite(tax) || tax<0)) return {error:"交易稅(tax)需為 0 或正數"};
+
+  const dayTrade = !!(f.dayTrade || extra.dayTrade);
+  const rec = {id, timestamp:ts, market:market0, symbol, account, type:side, qty, price, fee: fee||0, tax: tax||0};
+  if(dayTrade) rec.dayTrade = true;
+  // a file imported before fees were auto-filled stored blank fee as 0: treat that as the same row
+  const rawRec = {...rec};
+
+  // blank fee / tax / regulatory fees → fee engine
+  const secFeeBlank = String(f.secFee??"").trim()==="";
+  const tafBlank = String(f.taf??"").trim()==="";
+  if(market0==="US"){
+    rec.secFee = secFeeBlank ? 0 : toNumber(f.secFee, NaN);
+    rec.taf = tafBlank ? 0 : toNumber(f.taf, NaN);
+    if(!(rec.secFee>=0) || !(rec.taf>=0)) return {error:"SEC 規費／TAF 需為 0 或正數"};
+  }else{
+    if(!secFeeBlank) rec.secFee = toNumber(f.secFee, 0);
+    if(!tafBlank) rec.taf = toNumber(f.taf, 0);
+  }
+  if(feeBlank || taxBlank || (market0==="US" && (secFeeBlank || tafBlank))){
+    const auto = calcTradeFees(ledgerObj, {market:market0, side, qty, price, symbol, dayTrade});
+    if(auto){
+      if(feeBlank) rec.fee = auto.fee;
+      if(taxBlank) rec.tax = auto.tax;
+      if(market0==="US" && secFeeBlank) rec.secFee = auto.secFee;
+      if(market0==="US" && tafBlank) rec.taf = auto.taf;
+    }
+  }
+  withExtra(rec);
+  return {rec, keys: keysOf(rec, rawRec)};
+}
 
-    const rec = {id:uuid(), timestamp:ts, market:market0, symbol, type:side, qty, price, fee: fee||0};
+// Classify items against a copy of baseLedger (nothing is written). Each row gets
+// status valid / duplicate / invalid (+ reason) / skip. Rows with selected===false are
+// still checked but left out, so a deselected BUY turns the SELLs after it invalid.
+function previewCsvImport(items, baseLedger){
+  const work = JSON.parse(JSON.stringify(baseLedger));
+  const ledgerKeys = new Set((work.lots||[]).map(recDedupeKey));
+  const ids = new Set((work.lots||[]).map(r => String(r.id)));
+  // rows carrying an id were distinct records when exported, even if they look identical
+  const fileKeys = new Set();
+  const rows = items.map(item=>{
+    if(item.skip) return {...item, status:"skip", reason:"非買賣／股利資料"};
+    const res = csvFieldsToRecord(work, item.fields);
+    if(res.error) return {...item, status:"invalid", reason:res.error};
+    const withId = String(item.fields.id??"").trim()!=="";
+    if(res.keys.some(k => ledgerKeys.has(k) || (!withId && fileKeys.has(k)))) return {...item, status:"duplicate", reason:"與帳本或前面的列重複"};
+    if(ids.has(String(res.rec.id))) return {...item, status:"invalid", reason:"id 已存在但內容不同（衝突請用 JSON 合併匯入處理）"};
+    if(item.selected!==false){
+      work.lots.push(res.rec);
+      fileKeys.add(res.keys[0]);
+      ids.add(String(res.rec.id));
+    }
+    return {...item, status:"valid", reason:"", rec: res.rec};
+  });
 
-    const k = recDedupeKey(rec);
-    if(existing.has(k)){ skipped++; continue; }
+  // replay in time order: a new SELL that would take the position below zero is invalid (and not applied)
+  const fresh = new Map(rows.filter(r => r.rec && r.selected!==false).map(r => [r.rec, r]));
+  const map = new Map();
+  for(const r of sortByTimestamp(work.lots||[])){
+    const k = `${accountOf(r)}|${keyOf(r.market, r.symbol)}`;
+    const prev = map.get(k) ?? 0;
+    const next = applyRecordToQtyMap(map, r);
+    const row = fresh.get(r);
+    if(row && next!==null && next < -1e-9){
+      map.set(k, prev);
+      row.status = "invalid";
+      row.reason = `賣出後庫存變成負數（當時庫存 ${fmtInt(prev)} 股）`;
+    }
+  }
+  return rows;
+}
 
-    // Validate SELL not exceeding stock at that time by simulating for this symbol:
-    // We'll append now; global validation happens when rendering/logging as well,
-    // but we prevent obvious errors by checking per-row sequence after full import.
-    ledger.lots.push(rec);
-    existing.add(k);
+// write the selected valid rows of a preview into the ledger (one change-log entry)
+function commitCsvImport(rows, formatName){
+  const snapshot = JSON.stringify(ledger);
+  const checked = previewCsvImport(rows, ledger);
+  let imported = 0, skipped = 0, notTrades = 0;
+  const errors = [];
+  for(const row of checked){
+    if(row.status==="skip"){ notTrades++; continue; }
+    if(row.selected===false) continue;
+    if(row.status==="duplicate"){ skipped++; continue; }
+    if(row.status==="invalid"){ errors.push(`第 ${row.line} 列：${row.reason}`); continue; }
+    // rebuild against the live ledger so new accounts are created there
+    const res = csvFieldsToRecord(ledger, row.fields);
+    if(res.error){ errors.push(`第 ${row.line} 列：${res.error}`); continue; }
+    ledger.lots.push(res.rec);
     imported++;
   }
 
   // After adding all, sort lots by timestamp to keep stable processing
   ledger.lots.sort((a,b)=>String(a.timestamp).localeCompare(String(b.timestamp)));
 
-  // Validate per (market,symbol) that no SELL makes holdings negative
+  // the preview already left out overselling rows; this is the last safety net
   const invalid = findNegativeHoldings(ledger);
   if(invalid){
     // rollback to pre-import snapshot to avoid partial/incorrect imports
@@ -603,10 +2551,12 @@ function importCsvIntoLedger(csvText){
   }
 
   saveLedger(ledger);
+  logChange("import", "匯入 CSV", diffLots(JSON.parse(snapshot).lots, ledger.lots));
 
   const msgParts = [];
-  msgParts.push(`CSV 匯入完成：新增 ${imported} 筆`);
+  msgParts.push(`CSV 匯入完成（${formatName}）：新增 ${imported} 筆`);
   if(skipped>0) msgParts.push(`（略過重複 ${skipped} 筆）`);
+  if(notTrades>0) msgParts.push(`（略過 ${notTrades} 列非買賣／股利資料）`);
   if(errors.length>0){
     msgParts.push(`\n\n以下 ${errors.length} 筆有問題未匯入：\n` + errors.slice(0,8).join("\n") + (errors.length>8?"\n…":""));
   }
@@ -614,26 +2564,406 @@ function importCsvIntoLedger(csvText){
   return {imported, skipped, errors, message: msgParts.join("")};
 }
 
+// ---------------- CSV import wizard ----------------
+// Every parsed row is shown with its status before anything is written. The rows can be
+// deselected or edited in place; openCsvWizard resolves {rows, formatName} or null (cancel).
+const CSV_STATUS = {valid:["可匯入","buy"], duplicate:["重複","div"], invalid:["有問題","sell"]};
+let csvWizard = null; // {parsed, mapping, preset, items, error}
+
+function openCsvWizard(csvText){
+  const parsed = parseCsv(csvText);
+  if(parsed.rows.length===0) throw new Error("CSV 沒有資料列");
+  const width = Math.max(parsed.header ? parsed.header.length : 0, ...parsed.rows.map(r => r.length));
+  csvWizard = {parsed, mapping: guessCsvMapping(parsed.header, width), preset:null, items:[], error:""};
+  $("csv_preset").value = "auto";
+  loadCsvWizardItems();
+
+  const dlg = $("csv_dialog");
+  return new Promise((resolve)=>{
+    dlg.onclose = ()=>{
+      const w = csvWizard;
+      csvWizard = null;
+      if(dlg.returnValue!=="ok" || !w || w.error) return resolve(null);
+      resolve({rows: w.items, formatName: w.preset ? w.preset.name : "本 App 格式"});
+    };
+    dlg.returnValue = "";
+    dlg.showModal();
+  });
+}
+
+// (re)read the file with the chosen format / column mapping; inline edits are dropped
+function loadCsvWizardItems(){
+  const w = csvWizard;
+  if(!w) return;
+  try{
+    const {preset, items} = extractCsvItems(w.parsed, $("csv_preset").value, w.mapping);
+    w.preset = preset;
+    w.items = items.map(it => it.skip ? it : {...it, fields: {...it.fields}, selected: true});
+    w.error = "";
+  }catch(err){
+    w.preset = null;
+    w.items = [];
+    w.error = err?.message || String(err);
+  }
+  renderCsvMapping();
+  renderCsvPreview();
+}
+
+function renderCsvMapping(){
+  const w = csvWizard;
+  const box = $("csv_mapping_box");
+  box.hidden = !!w.preset || !!w.error;
+  if(box.hidden) return;
+  const {header, rows} = w.parsed;
+  const opts = `<option value="">（不匯入）</option>` + CSV_FIELDS.map(f => `<option value="${f.key}">${escapeHtml(f.label)}（${f.key}）</option>`).join("");
+  $("csv_mapping").innerHTML = w.mapping.map((key, i)=>{
+    const title = header ? header[i] : rows[0]?.[i];
+    return `<div><div class="hint">第 ${i+1} 欄：${escapeHtml(String(title ?? ""))}</div>
+      <select data-col="${i}" style="padding:8px; font-size:14px;">${opts}</select></div>`;
+  }).join("");
+  $("csv_mapping").querySelectorAll("select").forEach(sel => { sel.value = w.mapping[Number(sel.dataset.col)]; });
+}
+
+function renderCsvPreview(){
+  const w = csvWizard;
+  const table = $("csv_preview");
+  table.querySelector("thead").innerHTML = w.error ? "" :
+    `<tr><th><input type="checkbox" id="csv_select_all" checked style="width:auto;" /></th><th>列</th><th>狀態</th>`
+    + CSV_FIELDS.map(f => `<th>${escapeHtml(f.label)}</th>`).join("") + `</tr>`;
+  const cell = "min-width:84px; padding:6px 8px; font-size:13px; border-radius:8px;";
+  table.querySelector("tbody").innerHTML = w.items.map((it, i)=>{
+    if(it.skip) return "";
+    return `<tr>
+      <td><input type="checkbox" data-i="${i}" ${it.selected ? "checked" : ""} style="width:auto;" /></td>
+      <td>${it.line}</td>
+      <td id="csv_status_${i}"></td>
+      ${CSV_FIELDS.map(f => `<td><input data-i="${i}" data-f="${f.key}" value="${escapeHtml(String(it.fields[f.key] ?? ""))}" style="${cell}" /></td>`).join("")}
+    </tr>`;
+  }).join("");
+  refreshCsvStatus();
+}
+
+// re-check all rows (selection and edits affect duplicates / oversells of later rows)
+function refreshCsvStatus(){
+  const w = csvWizard;
+  if(!w) return;
+  const summary = $("csv_summary");
+  const commitBtn = $("btn_csv_commit");
+  if(w.error){
+    summary.textContent = w.error;
+    commitBtn.disabled = true;
+    return;
+  }
+  const rows = previewCsvImport(w.items, ledger);
+  const count = {valid:0, duplicate:0, invalid:0, off:0, skip:0};
+  rows.forEach((row, i)=>{
+    if(row.status==="skip"){ count.skip++; return; }
+    if(row.selected===false) count.off++;
+    else count[row.status]++;
+    const [text, cls] = row.selected===false ? ["未勾選", ""] : CSV_STATUS[row.status];
+    const el = $(`csv_status_${i}`);
+    if(el) el.innerHTML = `<span class="pill ${cls}">${text}</span>`
+      + (row.reason ? `<div class="hint">${escapeHtml(row.reason)}</div>` : "");
+  });
+  summary.textContent = `格式：${w.preset ? w.preset.name : "本 App 格式"}｜可匯入 ${count.valid}、重複 ${count.duplicate}、有問題 ${count.invalid}、未勾選 ${count.off}`
+    + (count.skip ? `｜略過 ${count.skip} 列非買賣／股利資料` : "");
+  commitBtn.textContent = `匯入 ${count.valid} 筆`;
+  commitBtn.disabled = count.valid===0;
+}
+
+function bindCsvWizard(){
+  $("csv_preset").addEventListener("change", loadCsvWizardItems);
+  $("csv_mapping").addEventListener("change", (e)=>{
+    const col = e.target.dataset.col;
+    if(col===undefined || !csvWizard) return;
+    // one column per field
+    csvWizard.mapping = csvWizard.mapping.map((key, i) => i===Number(col) ? e.target.value : (key===e.target.value ? "" : key));
+    loadCsvWizardItems();
+  });
+  $("csv_preview").addEventListener("change", (e)=>{
+    const w = csvWizard;
+    const t = e.target;
+    if(!w) return;
+    if(t.id==="csv_select_all"){
+      w.items.forEach(it => { if(!it.skip) it.selected = t.checked; });
+      $("csv_preview").querySelectorAll("tbody input[type=checkbox]").forEach(cb => { cb.checked = t.checked; });
+    }else if(t.dataset.i!==undefined){
+      const it = w.items[Number(t.dataset.i)];
+      if(t.type==="checkbox") it.selected = t.checked;
+      else it.fields[t.dataset.f] = t.value;
+    }else return;
+    refreshCsvStatus();
+  });
+}
+
+
 // find first negative holdings issue; returns a short description string or null
 function findNegativeHoldings(ledgerObj){
   try{
     const recs = Array.isArray(ledgerObj?.lots) ? ledgerObj.lots.slice() : [];
     recs.sort((a,b)=>String(a.timestamp).localeCompare(String(b.timestamp)));
-    const map = new Map(); // key -> qty
+    const map = new Map(); // account|market|symbol -> qty
+    const multi = getAccounts(ledgerObj).length>1;
     for(const r of recs){
-      const key = keyOf(r.market, r.symbol);
-      const cur = map.get(key) ?? 0;
-      const q = toNumber(r.qty, 0);
-      const next = (r.type==="BUY") ? (cur + q) : (cur - q);
-      if(next < -1e-9){
-        return `資料不合法：${r.symbol} 在 ${r.timestamp} 賣出後庫存變成負數。請檢查 CSV 是否有少了買入或日期排序不正確。`;
+      const next = applyRecordToQtyMap(map, r);
+      if(next!==null && next < -1e-9){
+        const acct = multi ? `（${accountName(ledgerObj, accountOf(r))}）` : "";
+        return `資料不合法：${r.symbol}${acct} 在 ${r.timestamp} 賣出後庫存變成負數。請檢查 CSV 是否有少了買入或日期排序不正確。`;
       }
-      map.set(key, next);
     }
   }catch(_){}
   return null;
 }
 
+// ---------------- JSON import (replace / merge) ----------------
+// key-order independent JSON, used to tell "same record" from "same id, different content"
+function canonicalJson(v){
+  if(Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if(v && typeof v==="object"){
+    return `{${Object.keys(v).sort().filter(k => v[k]!==undefined).map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+function canonicalRecord(r){
+  return canonicalJson(r.type==="ACTION" ? r : {...r, account: accountOf(r)});
+}
+
+// Classify incoming records against the local ledger (nothing is written):
+// - same id + same content, or same recDedupeKey → duplicate
+// - same id + different content                 → conflict
+// - otherwise                                   → new (records without id get one)
+function planJsonMerge(localObj, incoming){
+  const byId = new Map((localObj.lots||[]).filter(r => r && r.id!=null).map(r => [String(r.id), r]));
+  const keys = new Set((localObj.lots||[]).map(recDedupeKey));
+  const plan = {added:[], duplicates:0, conflicts:[], invalid:0};
+  for(const r of (incoming.lots||[])){
+    if(!r || typeof r!=="object" || !r.market || !r.symbol || !r.type || !r.timestamp){ plan.invalid++; continue; }
+    const local = r.id!=null ? byId.get(String(r.id)) : null;
+    if(local){
+      if(canonicalRecord(local)===canonicalRecord(r)) plan.duplicates++;
+      else plan.conflicts.push({local, incoming: r});
+      continue;
+    }
+    const k = recDedupeKey(r);
+    if(keys.has(k)){ plan.duplicates++; continue; }
+    const rec = r.id!=null ? r : {...r, id: uuid()};
+    keys.add(k);
+    byId.set(String(rec.id), rec);
+    plan.added.push(rec);
+  }
+  return plan;
+}
+
+// Build the merged ledger (a new object; localObj is not modified).
+// Settings / accounts / FX rates / watchlist keep the local values and only gain what is missing; prices keep the newer quote.
+function applyJsonMerge(localObj, incoming, plan, overwriteConflicts){
+  const next = JSON.parse(JSON.stringify(localObj));
+  if(overwriteConflicts){
+    const repl = new Map(plan.conflicts.map(c => [String(c.incoming.id), c.incoming]));
+    next.lots = next.lots.map(r => (r && repl.has(String(r.id))) ? JSON.parse(JSON.stringify(repl.get(String(r.id)))) : r);
+  }
+  next.lots.push(...JSON.parse(JSON.stringify(plan.added)));
+  next.lots = sortByTimestamp(next.lots);
+
+  const unionBy = (a, b, keyFn)=>{
+    const out = Array.isArray(a) ? a.slice() : [];
+    const seen = new Set(out.map(keyFn));
+    for(const x of (Array.isArray(b) ? b : [])){
+      if(x && !seen.has(keyFn(x))){ out.push(x); seen.add(keyFn(x)); }
+    }
+    return out;
+  };
+  if(incoming.accounts) next.accounts = unionBy(next.accounts, incoming.accounts, a => String(a?.id));
+  if(incoming.watchlist) next.watchlist = unionBy(next.watchlist, incoming.watchlist, x => keyOf(x?.market, x?.symbol));
+  if(incoming.fxRates) next.fxRates = unionBy(next.fxRates, incoming.fxRates, x => String(x?.date)).sort((a,b)=>String(a.date).localeCompare(String(b.date)));
+  if(incoming.prices && typeof incoming.prices==="object"){
+    next.prices = next.prices || {};
+    for(const [k, p] of Object.entries(incoming.prices)){
+      const cur = next.prices[k];
+      if(p && (!cur || String(p.date||"") > String(cur.date||""))) next.prices[k] = p;
+    }
+  }
+  if(incoming.settings && typeof incoming.settings==="object"){
+    const mine = next.settings || {};
+    next.settings = {...incoming.settings, ...mine};
+    for(const k of ["costMethod","feeProfileId"]){
+      if(mine[k] || incoming.settings[k]) next.settings[k] = {...(incoming.settings[k]||{}), ...(mine[k]||{})};
+    }
+    if(mine.feeProfiles && incoming.settings.feeProfiles){
+      next.settings.feeProfiles = unionBy(mine.feeProfiles, incoming.settings.feeProfiles, p => String(p?.id));
+    }
+  }
+  return next;
+}
+
+function describeMergePlan(plan, fileCount){
+  const lines = [
+    `檔案共 ${fileCount} 筆紀錄：`,
+    `・新增 ${plan.added.length} 筆`,
+    `・重複 ${plan.duplicates} 筆（略過）`,
+    `・衝突 ${plan.conflicts.length} 筆（同一筆 id 但內容不同）`
+  ];
+  if(plan.invalid>0) lines.push(`・無法辨識 ${plan.invalid} 筆（略過）`);
+  return lines.join("\n");
+}
+
+// ---------------- Encrypted backup ----------------
+// Envelope: {format, v, kdf:{name:"PBKDF2", hash, iterations, salt}, cipher:{name:"AES-GCM", iv}, data}
+// (binary fields base64). The key is derived from the passphrase; nothing about the ledger is stored in clear.
+const ENCRYPTED_BACKUP_FORMAT = "stockledger-encrypted";
+const BACKUP_PBKDF2_ITERATIONS = 310000;
+
+function bytesToBase64(bytes){
+  let bin = "";
+  for(let i=0;i<bytes.length;i+=0x8000) bin += String.fromCharCode(...bytes.subarray(i, i+0x8000));
+  return btoa(bin);
+}
+function base64ToBytes(b64){
+  const bin = atob(String(b64||""));
+  const out = new Uint8Array(bin.length);
+  for(let i=0;i<bin.length;i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+function isEncryptedBackup(obj){
+  return !!obj && obj.format===ENCRYPTED_BACKUP_FORMAT && typeof obj.data==="string";
+}
+
+async function deriveBackupKey(passphrase, salt, iterations, hash){
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    {name:"PBKDF2", salt, iterations, hash},
+    base, {name:"AES-GCM", length:256}, false, ["encrypt","decrypt"]
+  );
+}
+
+async function encryptBackup(plaintext, passphrase){
+  if(!crypto?.subtle) throw new Error("這個瀏覽器不支援加密（需要 HTTPS）");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, BACKUP_PBKDF2_ITERATIONS, "SHA-256");
+  const data = new Uint8Array(await crypto.subtle.encrypt({name:"AES-GCM", iv}, key, new TextEncoder().encode(plaintext)));
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT, v: 1,
+    kdf: {name:"PBKDF2", hash:"SHA-256", iterations: BACKUP_PBKDF2_ITERATIONS, salt: bytesToBase64(salt)},
+    cipher: {name:"AES-GCM", iv: bytesToBase64(iv)},
+    data: bytesToBase64(data)
+  };
+}
+
+async function decryptBackup(envelope, passphrase){
+  if(!crypto?.subtle) throw new Error("這個瀏覽器不支援解密（需要 HTTPS）");
+  if(envelope.v!==1 || envelope.kdf?.name!=="PBKDF2" || envelope.cipher?.name!=="AES-GCM"){
+    throw new Error("不支援的加密備份格式，請更新 App");
+  }
+  const key = await deriveBackupKey(passphrase, base64ToBytes(envelope.kdf.salt), toNumber(envelope.kdf.iterations, 0), envelope.kdf.hash || "SHA-256");
+  let plain;
+  try{
+    plain = await crypto.subtle.decrypt({name:"AES-GCM", iv: base64ToBytes(envelope.cipher.iv)}, key, base64ToBytes(envelope.data));
+  }catch(_){
+    throw new Error("密碼錯誤或檔案已損壞");
+  }
+  return new TextDecoder().decode(plain);
+}
+
+// passphrase dialog (#pass_dialog); resolves null on cancel
+function askPassphrase(message, withConfirm=false){
+  const dlg = $("pass_dialog");
+  $("pass_msg").textContent = message;
+  $("pass_input").value = "";
+  $("pass_input2").value = "";
+  $("pass_confirm_box").hidden = !withConfirm;
+  dlg.dataset.confirm = withConfirm ? "1" : "";
+  return new Promise((resolve)=>{
+    dlg.onclose = ()=> resolve(dlg.returnValue==="ok" ? $("pass_input").value : null);
+    dlg.returnValue = "";
+    dlg.showModal();
+    $("pass_input").focus();
+  });
+}
+
+// ---------------- Change log (undo / redo) ----------------
+// Every change to ledger.lots is appended to IDB_CHANGELOG_STORE with before/after copies of the records.
+// Undo / redo never rewrite history: they append an entry (undoOf / redoOf = seq of the original operation).
+const CHANGE_OPS = {add:"新增", edit:"修改", delete:"刪除", import:"匯入", undo:"復原", redo:"重做"};
+
+function cloneRec(r){ return r ? JSON.parse(JSON.stringify(r)) : null; }
+
+function recordLabel(r){
+  if(!r) return "";
+  const what = r.type==="ACTION" ? corporateActionLabel(r) : sideLabel(r.type, true);
+  return `${r.market||""} ${r.symbol||""} ${what} ${String(r.timestamp||"").slice(0,10)}`.trim();
+}
+
+// per-id diff of two lots arrays → [{id, before, after}]
+function diffLots(beforeLots, afterLots){
+  const before = new Map((beforeLots||[]).filter(r => r && r.id!=null).map(r => [String(r.id), r]));
+  const changes = [];
+  for(const r of (afterLots||[])){
+    if(!r || r.id==null) continue;
+    const b = before.get(String(r.id));
+    before.delete(String(r.id));
+    if(!b) changes.push({id: String(r.id), before: null, after: cloneRec(r)});
+    else if(canonicalRecord(b)!==canonicalRecord(r)) changes.push({id: String(r.id), before: cloneRec(b), after: cloneRec(r)});
+  }
+  for(const [id, b] of before) changes.push({id, before: cloneRec(b), after: null});
+  return changes;
+}
+
+// append one operation (fire-and-forget; the ledger itself is already saved)
+function logChange(op, label, changes, extra={}){
+  if(!changes || changes.length===0) return Promise.resolve(null);
+  const entry = {at: nowTS(), op, label, changes, ...extra};
+  try{
+    return idbAdd(entry, IDB_CHANGELOG_STORE)
+      .then((seq)=>{ try{ renderHistory(); }catch(_){ } return seq; })
+      .catch(()=>null);
+  }catch(_){
+    return Promise.resolve(null);
+  }
+}
+
+async function loadChangeLog(){
+  const all = await idbGetAll(IDB_CHANGELOG_STORE);
+  return all.sort((a,b)=>a.seq-b.seq);
+}
+
+// seq -> "active" | "undone" for every original (non undo/redo) operation
+function changeLogState(entries){
+  const state = new Map();
+  for(const e of entries){
+    if(e.undoOf!=null) state.set(e.undoOf, "undone");
+    else if(e.redoOf!=null) state.set(e.redoOf, "active");
+    else state.set(e.seq, "active");
+  }
+  return state;
+}
+
+// Apply an entry's changes backwards (undo) or forwards (redo) to a copy of the ledger.
+// drift = records that no longer look like the entry expects (edited again later)
+function applyLotChanges(ledgerObj, changes, direction){
+  const next = JSON.parse(JSON.stringify(ledgerObj));
+  const list = direction==="undo" ? changes.slice().reverse() : changes;
+  const applied = [];
+  let drift = 0;
+  for(const c of list){
+    const from = direction==="undo" ? c.after : c.before;
+    const to = direction==="undo" ? c.before : c.after;
+    const i = next.lots.findIndex(r => r && String(r.id)===String(c.id));
+    const cur = i>=0 ? next.lots[i] : null;
+    if((cur ? canonicalRecord(cur) : null) !== (from ? canonicalRecord(from) : null)) drift++;
+    if(to){
+      if(i>=0) next.lots[i] = cloneRec(to);
+      else next.lots.push(cloneRec(to));
+    }else if(i>=0){
+      next.lots.splice(i, 1);
+    }
+    applied.push({id: c.id, before: cloneRec(cur), after: cloneRec(to)});
+  }
+  next.lots = sortByTimestamp(next.lots);
+  return {ledger: next, applied, drift};
+}
+
 // ---------------- UI wiring ----------------
 let ledger = loadLedger();
 
@@ -649,8 +2979,9 @@ async function hydrateFromIDBIfNeeded(){
     const obj = JSON.parse(idbRaw);
     if(!obj || !Array.isArray(obj.lots) || obj.lots.length===0) return false;
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(obj));
-    ledger = obj;
+    // stored as-is; loadLedger runs the migrations
+    localStorage.setItem(STORAGE_KEY, idbRaw);
+    ledger = loadLedger();
     return true;
   }catch(_){
     return false;
@@ -693,7 +3024,7 @@ function ensureTodayPriceUI(){
   wrap.innerHTML = `
     <label>當日價格（手動輸入，可空白）</label>
     <input id="q_today_price" inputmode="decimal" placeholder="例如：602.5" />
-    <div class="hint" style="margin-top:6px;">只用來顯示在圖表最後一筆「現價」，不會寫入交易、不影響庫存。</div>
+    <div class="hint" style="margin-top:6px;">只用來顯示在圖表最後一筆「現價」，不會寫入交易、不影響庫存。預設帶入「持股總覽」記錄的現價。</div>
     <div style="margin-top:12px;">
       <label>預估要買的股數（手動輸入，可空白）</label>
       <input id="q_plan_qty" inputmode="numeric" placeholder="例如：100" />
@@ -717,6 +3048,7 @@ function ensureTodayPriceUI(){
 
   const inp = $("q_today_price");
   if(inp){
+    inp.addEventListener("input", ()=>{ inp.dataset.auto = ""; });
     const onApply = ()=>{
       if(!lastQueryLog) return;
       try{ drawChartForQuery(lastQueryLog); }catch(_){}
@@ -763,19 +3095,58 @@ function getPlannedBuyQty(){
 function drawChartForQuery(log){
   const mp = getManualTodayPrice();
   const pq = getPlannedBuyQty();
-  const cd = buildChartData(log, mp, pq);
   const canvas = document.getElementById("chart1");
   if(!canvas) return;
   const ctx = canvas.getContext("2d");
   if(chart){ chart.destroy(); }
 
+  // with imported price history: real date axis
+  const hist = (lastQueryMarket && lastQuerySymbol) ? getCachedPriceHistory(lastQueryMarket, lastQuerySymbol) : [];
+  if(hist.length>=2){
+    const dc = buildDateChartData(log, hist, mp, pq);
+    chart = new Chart(ctx, {
+      type: "line",
+      data: { datasets: dateChartDatasets(dc) },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: "nearest", intersect: false },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: (items)=>{
+                const raw = items?.[0]?.raw || {};
+                return raw.lines ? raw.lines[0] : dayNumberToDate(raw.x);
+              },
+              label: (item)=>{
+                const raw = item.raw || {};
+                if(raw.lines) return raw.lines.slice(1);
+                if(raw.bar && raw.bar.open){
+                  const b = raw.bar;
+                  return `開 ${fmtNum(b.open,2)} 高 ${fmtNum(b.high,2)} 低 ${fmtNum(b.low,2)} 收 ${fmtNum(b.close,2)}`;
+                }
+                return `${item.dataset.label}：${fmtNum(raw.y,2)}`;
+              }
+            }
+          },
+          legend: { display: true }
+        },
+        scales: { x: dateChartXScale(dc) }
+      }
+    });
+    return;
+  }
+
+  const cd = buildChartData(log, mp, pq);
+
   chart = new Chart(ctx, {
     type: "line",
     data: {
       labels: cd.labels,
       datasets: [
-        { label: "成交價", data: cd.price, tension: 0.25, borderColor: "#1e88e5", backgroundColor: "#1e88e5", pointBackgroundColor: "#1e88e5", pointBorderColor: "#1e88e5", pointRadius: 4, pointHoverRadius: 6 },
+        { label: "成交價", data: cd.price, spanGaps: true, tension: 0.25, borderColor: "#1e88e5", backgroundColor: "#1e88e5", pointBackgroundColor: "#1e88e5", pointBorderColor: "#1e88e5", pointRadius: 4, pointHoverRadius: 6 },
         { label: "平均成本", data: cd.avg, tension: 0.25, borderColor: "#ff5c93", backgroundColor: "#ff5c93", pointBackgroundColor: "#ff5c93", pointBorderColor: "#ff5c93", pointRadius: 4, pointHoverRadius: 6 },
+        ...chartActionDatasets(cd),
         ...(cd.planAvg ? [{
           label: "預估買後均價",
           data: cd.planAvg,
@@ -829,6 +3200,119 @@ function drawChartForQuery(log){
 }
 
 // ===== Export chart as high-resolution A4 PNG (landscape) =====
+// Shared by the A4 PNG exports (query chart, portfolio timeline)
+function a4BackgroundPlugin(){
+  return {
+    id: "a4Bg",
+    beforeDraw(chartInstance){
+      const ctx = chartInstance.ctx;
+      ctx.save();
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, chartInstance.width, chartInstance.height);
+      ctx.restore();
+    }
+  };
+}
+
+function a4HeaderPlugin(titleText){
+  const today = new Date();
+  return {
+    id: "a4Header",
+    beforeDraw(chartInstance){
+      const ctx = chartInstance.ctx;
+      ctx.save();
+      ctx.fillStyle = "#111";
+      ctx.textAlign = "left";
+      // Title
+      ctx.font = "bold 48px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+      ctx.fillText(titleText, 90, 90);
+      // Subtitle: export time
+      ctx.font = "28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
+      ctx.fillStyle = "#666";
+      ctx.fillText(`匯出時間：${formatDateYYYYMMDD(today)} ${formatTimeHHMM(today)}`, 90, 140);
+      ctx.restore();
+    }
+  };
+}
+
+// Render cfg off-screen at A4 landscape (300DPI first; fallback to 200DPI if iOS fails toBlob), then share / open it
+async function exportChartA4Png(cfg, filename){
+  async function canvasToBlobSafe(canvas){
+    // 1) try toBlob
+    try{
+      const b = await new Promise((resolve)=>canvas.toBlob(resolve, "image/png"));
+      if(b) return b;
+    }catch(_){}
+    // 2) fallback toDataURL -> Blob (some iOS builds return null for toBlob)
+    try{
+      const dataUrl = canvas.toDataURL("image/png");
+      if(!dataUrl || dataUrl === "data:,") return null;
+      const parts = dataUrl.split(",");
+      if(parts.length < 2) return null;
+      const binStr = atob(parts[1]);
+      const len = binStr.length;
+      const bytes = new Uint8Array(len);
+      for(let i=0;i<len;i++) bytes[i] = binStr.charCodeAt(i);
+      return new Blob([bytes], { type: "image/png" });
+    }catch(_){
+      return null;
+    }
+  }
+
+  async function renderAndGetBlob(width, height){
+    const c = document.createElement("canvas");
+    c.width = width;
+    c.height = height;
+
+    const exportChart = new Chart(c.getContext("2d"), cfg);
+    await new Promise(r=>setTimeout(r, 80)); // give iOS a bit more time
+
+    const blob = await canvasToBlobSafe(c);
+    exportChart.destroy();
+    return blob;
+  }
+
+  // A4 landscape @ 300DPI: 3508x2480
+  let blob = await renderAndGetBlob(3508, 2480);
+
+  // If failed (common on iOS PWA due to memory), fallback to 200DPI: 2339x1654
+  if(!blob){
+    blob = await renderAndGetBlob(2339, 1654);
+  }
+
+  if(!blob){
+    alert("匯出失敗：無法產生圖片（可能是 iOS 記憶體限制）。建議先截圖，或我可以再加一個「匯出較小尺寸」按鈕。");
+    return;
+  }
+// iOS: share if possible, otherwise open preview in a new tab
+  const file = new File([blob], filename, { type: "image/png" });
+
+  try{
+    if(navigator.canShare && navigator.canShare({ files: [file] }) && navigator.share){
+      await navigator.share({ files: [file], title: filename });
+      return;
+    }
+  }catch(_){}
+
+  // Fallback: open in new tab for save/share
+  const url = URL.createObjectURL(blob);
+  const w = window.open(url, "_blank");
+  // In case popup blocked, show a manual link
+  if(!w){
+    const a = document.createElement("a");
+    a.href = url;
+    a.target = "_blank";
+    a.textContent = "點我開啟匯出圖片";
+    a.style.display = "block";
+    a.style.marginTop = "10px";
+    const host = $("page_query") || document.body;
+    host.prepend(a);
+    alert("已產生圖片，請點頁面上的「點我開啟匯出圖片」來保存。");
+  }
+  // release later
+  setTimeout(()=>URL.revokeObjectURL(url), 60000);
+}
+
 async function exportQueryChartA4Png(){
   if(!window.Chart){
     alert("找不到 Chart.js，無法匯出圖表。");
@@ -854,39 +3338,13 @@ async function exportQueryChartA4Png(){
   const mp = getManualTodayPrice();
   const pq = getPlannedBuyQty();
   const cd = buildChartData(lastQueryLog, mp, pq);
+  const hist = (lastQueryMarket && lastQuerySymbol) ? getCachedPriceHistory(lastQueryMarket, lastQuerySymbol) : [];
+  const dc = hist.length>=2 ? buildDateChartData(lastQueryLog, hist, mp, pq) : null;
 
-  // (canvas will be created during export)
-
-  const bgPlugin = {
-  id: "a4Bg",
-  beforeDraw(chartInstance){
-    const ctx = chartInstance.ctx;
-    ctx.save();
-    ctx.fillStyle = "#fff";
-    ctx.fillRect(0, 0, chartInstance.width, chartInstance.height);
-    ctx.restore();
-  }
-};
+  // (canvas will be created during export)
 
-  const headerPlugin = {
-    id: "a4Header",
-    beforeDraw(chartInstance){
-      const ctx = chartInstance.ctx;
-      ctx.save();
-      ctx.fillStyle = "#111";
-      ctx.textAlign = "left";
-      // Title
-      ctx.font = "bold 48px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-      ctx.fillText(titleText, 90, 90);
-      // Subtitle: export time
-      ctx.font = "28px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial";
-      const hh = String(today.getHours()).padStart(2,"0");
-      const mi = String(today.getMinutes()).padStart(2,"0");
-      ctx.fillStyle = "#666";
-      ctx.fillText(`匯出時間：${dateStr} ${hh}:${mi}`, 90, 140);
-      ctx.restore();
-    }
-  };
+  const bgPlugin = a4BackgroundPlugin();
+  const headerPlugin = a4HeaderPlugin(titleText);
 
   // Export-only annotations: print BUY/SELL info next to each point (like tooltip)
   const annoPlugin = {
@@ -897,6 +3355,8 @@ async function exportQueryChartA4Png(){
         const area = chartInstance.chartArea;
         const meta = chartInstance.getDatasetMeta(0); // dataset 0 = 成交價
         if(!meta || !meta.data || !area) return;
+        const actionIdx = chartInstance.data.datasets.findIndex(ds => ds.label==="公司行動");
+        const actionMeta = actionIdx>=0 ? chartInstance.getDatasetMeta(actionIdx) : null;
 
         const boxes = [];
         const h = chartInstance.height || 2480;
@@ -938,20 +3398,36 @@ async function exportQueryChartA4Png(){
         ctx.save();
         ctx.textBaseline = "top";
 
-        for(let i=0;i<meta.data.length;i++){
-          const el = meta.data[i];
-          if(!el) continue;
-
-          const p = cd.points[i] || {kind:"trade", date:"", line2:""};
-          const q = cd.qtyAfter[i] ?? 0;
-          const idxLabel = cd.labels[i] ?? "";
-
-          let lines;
-          if(p.kind === "today"){
-            lines = [`${p.date} 現價`, String(p.line2||""), `庫存：${fmtInt(q)}`];
-          }else{
-            lines = [`#${idxLabel} ${p.date}`, String(p.line2||""), `庫存：${fmtInt(q)}`];
+        // label targets: date chart → points that carry `lines`; index chart → one per x label
+        const targets = [];
+        if(dc){
+          chartInstance.data.datasets.forEach((ds, di)=>{
+            const m = chartInstance.getDatasetMeta(di);
+            (ds.data||[]).forEach((raw, j)=>{
+              if(raw && raw.lines && m.data[j]) targets.push({el: m.data[j], lines: raw.lines});
+            });
+          });
+          targets.sort((a,b)=>a.el.x - b.el.x);
+        }else{
+          for(let i=0;i<meta.data.length;i++){
+            const p = cd.points[i] || {kind:"trade", date:"", line2:""};
+            const el = (p.kind==="action" && actionMeta) ? actionMeta.data[i] : meta.data[i];
+            if(!el) continue;
+
+            const q = cd.qtyAfter[i] ?? 0;
+            const idxLabel = cd.labels[i] ?? "";
+
+            if(p.kind === "today"){
+              targets.push({el, lines: [`${p.date} 現價`, String(p.line2||""), `庫存：${fmtInt(q)}`]});
+            }else{
+              targets.push({el, lines: [`#${idxLabel} ${p.date}`, String(p.line2||""), `庫存：${fmtInt(q)}`]});
+            }
           }
+        }
+
+        for(let i=0;i<targets.length;i++){
+          const el = targets[i].el;
+          let lines = targets[i].lines;
 
           // tiny cleanup for readability
           lines = lines.map(s=>String(s||"").replace(/\|/g,"").replace("｜","  "));
@@ -1017,13 +3493,28 @@ async function exportQueryChartA4Png(){
     }
   };
 
-  const cfg = {
+  const cfg = dc ? {
+    type: "line",
+    data: { datasets: dateChartDatasets(dc, true) },
+    options: {
+      responsive: false,
+      animation: false,
+      layout: { padding: { top: 170, left: 70, right: 70, bottom: 160 } },
+      plugins: {
+        legend: { display: true },
+        tooltip: { enabled: false }
+      },
+      scales: { x: dateChartXScale(dc, true), y: { ticks: { } } }
+    },
+    plugins: [bgPlugin, headerPlugin, annoPlugin]
+  } : {
     type: "line",
     data: {
       labels: cd.labels,
       datasets: [
-        { label: "成交價", data: cd.price, tension: 0.25 },
+        { label: "成交價", data: cd.price, spanGaps: true, tension: 0.25 },
         { label: "平均成本", data: cd.avg, tension: 0.25 },
+        ...chartActionDatasets(cd),
         ...(cd.planAvg ? [{
           label: "預估買後均價",
           data: cd.planAvg,
@@ -1074,91 +3565,604 @@ async function exportQueryChartA4Png(){
   };
 
   
-  // Render to blob (A4 300DPI first; fallback to 200DPI if iOS fails toBlob)
   const market = normalizeMarket(($("q_market")?.value || lastQueryMarket || "").toString());
   const filename = `stock-ledger_chart_${market}_${sym}_${yyyy}${mm}${dd}.png`;
+  await exportChartA4Png(cfg, filename);
+}
+// ===== End export =====
 
-  async function canvasToBlobSafe(canvas){
-    // 1) try toBlob
-    try{
-      const b = await new Promise((resolve)=>canvas.toBlob(resolve, "image/png"));
-      if(b) return b;
-    }catch(_){}
-    // 2) fallback toDataURL -> Blob (some iOS builds return null for toBlob)
-    try{
-      const dataUrl = canvas.toDataURL("image/png");
-      if(!dataUrl || dataUrl === "data:,") return null;
-      const parts = dataUrl.split(",");
-      if(parts.length < 2) return null;
-      const binStr = atob(parts[1]);
-      const len = binStr.length;
-      const bytes = new Uint8Array(len);
-      for(let i=0;i<len;i++) bytes[i] = binStr.charCodeAt(i);
-      return new Blob([bytes], { type: "image/png" });
-    }catch(_){
-      return null;
+// ---------------- Trade list ----------------
+// All records across symbols; only the current page is put in the DOM so thousands of rows stay fast.
+const TRADE_LIST_PAGE_SIZE = 100;
+const tradeListState = {sortKey: "timestamp", sortDir: -1, page: 0};
+
+// gross amount: qty × price for trades, the total for dividends; corporate actions have none
+function tradeGrossAmount(r){
+  if(isTradeType(r?.type)) return toNumber(r.qty,0) * toNumber(r.price,0);
+  if(r?.type==="DIVIDEND") return toNumber(r.amount,0);
+  return null;
+}
+
+function filterTradeList(ledgerObj, {search="", market="", side="", from="", to="", min=null, max=null}={}){
+  const q = String(search||"").trim().toUpperCase();
+  return filterLedgerRecords(ledgerObj, {market, from, to}).filter(r=>{
+    if(q && !String(r.symbol||"").toUpperCase().includes(q)) return false;
+    if(side && r.type!==side) return false;
+    if(min!=null || max!=null){
+      const amt = tradeGrossAmount(r);
+      if(amt==null) return false;
+      if(min!=null && amt<min) return false;
+      if(max!=null && amt>max) return false;
+    }
+    return true;
+  });
+}
+
+function sortTradeList(list, key, dir){
+  const val = (r)=>{
+    if(key==="amount") return tradeGrossAmount(r);
+    if(key==="qty" || key==="price") return toNumber(r[key], -Infinity);
+    if(key==="account") return accountName(ledger, accountOf(r));
+    return String(r[key]??"");
+  };
+  // list comes in timestamp order: ties keep it; rows without an amount go last
+  return list.map((r, i)=>({r, i, v: val(r)})).sort((a,b)=>{
+    if((a.v==null) !== (b.v==null)) return a.v==null ? 1 : -1;
+    const c = (typeof a.v==="number" && typeof b.v==="number") ? a.v - b.v : String(a.v).localeCompare(String(b.v));
+    return c*dir || (a.i - b.i)*dir;
+  }).map(x => x.r);
+}
+
+function tradeListFilters(){
+  const num = (id)=>{
+    const s = String($(id).value||"").trim();
+    const n = toNumber(s, NaN);
+    return (s==="" || !Number.isFinite(n)) ? null : n;
+  };
+  return {
+    search: $("tx_search").value,
+    market: $("tx_market").value,
+    side: $("tx_side").value,
+    from: $("tx_from").value,
+    to: $("tx_to").value,
+    min: num("tx_min"),
+    max: num("tx_max")
+  };
+}
+
+function renderTradeList(){
+  const table = $("tx_table");
+  if(!table) return;
+  const {sortKey, sortDir} = tradeListState;
+  const list = sortTradeList(filterTradeList(ledger, tradeListFilters()), sortKey, sortDir);
+  const pages = Math.max(1, Math.ceil(list.length / TRADE_LIST_PAGE_SIZE));
+  tradeListState.page = Math.min(Math.max(0, tradeListState.page), pages-1);
+  const start = tradeListState.page * TRADE_LIST_PAGE_SIZE;
+
+  table.querySelectorAll("th[data-sort]").forEach(th=>{
+    const base = th.dataset.label || (th.dataset.label = th.textContent);
+    th.textContent = base + (th.dataset.sort===sortKey ? (sortDir>0 ? " ▲" : " ▼") : "");
+  });
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = list.length===0
+    ? `<tr><td colspan="10" class="hint">找不到交易紀錄</td></tr>`
+    : list.slice(start, start + TRADE_LIST_PAGE_SIZE).map(r=>{
+      const cur = marketToCurrency(r.market);
+      const pillClass = {BUY:"buy", SELL:"sell", DIVIDEND:"div", ACTION:"act"}[r.type] || "";
+      const amt = tradeGrossAmount(r);
+      const isAction = r.type==="ACTION";
+      return `<tr data-id="${escapeHtml(r.id)}" style="cursor:pointer;">
+        <td>${bulkCheckboxHtml("tx", r.id)}</td>
+        <td>${escapeHtml(String(r.timestamp||"").slice(0,16))}</td>
+        <td>${escapeHtml(r.market)}</td>
+        <td>${escapeHtml(r.symbol)}${symbolName(r.market, r.symbol) ? `<div class="hint">${escapeHtml(symbolName(r.market, r.symbol))}</div>` : ""}</td>
+        <td><span class="pill ${pillClass}">${sideLabel(r.type)}</span>${isAction ? `<div class="hint">${escapeHtml(corporateActionLabel(r))}</div>` : ""}</td>
+        <td>${isAction ? "—" : fmtInt(r.qty)}</td>
+        <td>${isTradeType(r.type) ? fmtNum(r.price, 2) : (r.type==="DIVIDEND" && r.perShare!=null ? fmtNum(r.perShare, 4) : "—")}</td>
+        <td>${amt==null ? "—" : fmtMoney(amt, cur)}</td>
+        <td>${isAction ? "—" : fmtMoney(r.type==="DIVIDEND" ? toNumber(r.tax,0) : recTradeCharges(r), cur)}</td>
+        <td>${isAction ? "—" : escapeHtml(accountName(ledger, accountOf(r)))}</td>
+      </tr>`;
+    }).join("");
+
+  $("tx_page_info").textContent = list.length===0 ? "" :
+    `第 ${tradeListState.page+1} / ${pages} 頁（共 ${fmtInt(list.length)} 筆，顯示 ${fmtInt(start+1)}–${fmtInt(Math.min(list.length, start + TRADE_LIST_PAGE_SIZE))}）`;
+  $("tx_prev").disabled = tradeListState.page<=0;
+  $("tx_next").disabled = tradeListState.page>=pages-1;
+  renderBulkBar("tx");
+}
+
+function bindTradeList(){
+  const refilter = ()=>{ tradeListState.page = 0; renderTradeList(); };
+  for(const id of ["tx_market","tx_side","tx_from","tx_to"]) $(id).addEventListener("change", refilter);
+  for(const id of ["tx_search","tx_min","tx_max"]) $(id).addEventListener("input", refilter);
+  $("tx_prev").addEventListener("click", ()=>{ tradeListState.page--; renderTradeList(); window.scrollTo(0, 0); });
+  $("tx_next").addEventListener("click", ()=>{ tradeListState.page++; renderTradeList(); window.scrollTo(0, 0); });
+  $("tx_table").querySelector("thead").addEventListener("click", (e)=>{
+    const th = e.target.closest("th[data-sort]");
+    if(!th) return;
+    const key = th.dataset.sort;
+    tradeListState.sortDir = tradeListState.sortKey===key ? -tradeListState.sortDir : (key==="timestamp" || key==="amount" ? -1 : 1);
+    tradeListState.sortKey = key;
+    tradeListState.page = 0;
+    renderTradeList();
+  });
+  $("tx_table").querySelector("tbody").addEventListener("click", (e)=>{
+    const tr = e.target.closest("tr[data-id]");
+    if(!tr || e.target.closest("td")?.cellIndex===0) return; // 勾選欄
+    showTradeDetails(tr.dataset.id);
+  });
+}
+bindTradeList();
+
+// ---------------- Bulk edit ----------------
+// Checked rows per table (tx = 全部交易, log = 交易序列); a batch is applied to a copy,
+// validated with validateNoOversell for every symbol it touches, then saved as one change-log entry.
+const bulkSelections = {tx: new Set(), log: new Set()};
+let bulkScope = null;
+
+// "YYYY-MM-DD HH:mm:ss" moved by whole minutes (calendar aware)
+function shiftTimestamp(ts, minutes){
+  const m = String(ts||"").match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+  if(!m) return null;
+  const t = Date.UTC(Number(m[1]), Number(m[2])-1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6])) + minutes*60000;
+  return new Date(t).toISOString().slice(0,19).replace("T", " ");
+}
+
+// op: {kind:"delete"} | {kind:"shift", days, minutes} | {kind:"fees"} | {kind:"move", market, symbol}
+// returns {ledger} (a new ledger object) or {error}
+function applyBulkEdit(ledgerObj, ids, op){
+  const next = JSON.parse(JSON.stringify(ledgerObj));
+  const idSet = new Set(Array.from(ids, String));
+  const targets = next.lots.filter(r => r && idSet.has(String(r.id)));
+  if(targets.length===0) return {error:"沒有選取任何紀錄"};
+  const touched = new Set(targets.map(r => keyOf(r.market, r.symbol)));
+
+  if(op.kind==="delete"){
+    next.lots = next.lots.filter(r => !(r && idSet.has(String(r.id))));
+  }else if(op.kind==="shift"){
+    const minutes = toNumber(op.days,0)*1440 + toNumber(op.minutes,0);
+    if(!Number.isFinite(minutes) || !Number.isInteger(minutes)) return {error:"平移的天數／分鐘需為整數"};
+    if(minutes===0) return {error:"請輸入要平移的天數或分鐘"};
+    for(const r of targets){
+      const ts = shiftTimestamp(r.timestamp, minutes);
+      if(!ts) return {error:`日期/時間格式不正確：${recordLabel(r)}`};
+      r.timestamp = ts;
+    }
+  }else if(op.kind==="fees"){
+    for(const r of targets){
+      if(!isTradeType(r.type)) continue;
+      const res = calcTradeFees(next, {
+        market: r.market, side: r.type, symbol: r.symbol, dayTrade: !!r.dayTrade,
+        qty: toNumber(r.qty, NaN), price: toNumber(r.price, NaN)
+      });
+      if(!res) return {error:`無法重算手續費：${recordLabel(r)}`};
+      r.fee = res.fee;
+      if(r.market==="US"){
+        r.secFee = res.secFee ?? 0;
+        r.taf = res.taf ?? 0;
+      }else{
+        r.tax = res.tax;
+      }
+    }
+  }else if(op.kind==="move"){
+    const market = normalizeMarket(op.market);
+    const symbol = market ? normalizeSymbol(market, op.symbol) : "";
+    if(!market || !symbol) return {error:"請輸入要移到的市場與代號"};
+    for(const r of targets){
+      r.market = market;
+      r.symbol = symbol;
+      // picked lots left behind under the old symbol no longer apply
+      if(Array.isArray(r.closes) && !r.closes.every(c => idSet.has(String(c.lot)))) delete r.closes;
     }
+    touched.add(keyOf(market, symbol));
+  }else{
+    return {error:"不支援的批次操作"};
   }
 
-  async function renderAndGetBlob(width, height){
-    const c = document.createElement("canvas");
-    c.width = width;
-    c.height = height;
+  // an unselected SELL that picked lots of a moved / deleted BUY would quietly fall back to FIFO
+  if(op.kind==="move" || op.kind==="delete"){
+    const picking = next.lots.filter(r => r && !idSet.has(String(r.id)) && Array.isArray(r.closes) && r.closes.some(c => idSet.has(String(c.lot))));
+    if(picking.length){
+      return {error: `以下賣出指定了所選買入的批次，請一併選取，或先在交易明細改掉指定批次：\n`
+        + picking.slice(0,5).map(recordLabel).join("\n") + (picking.length>5 ? "\n…" : "")};
+    }
+  }
 
-    const exportChart = new Chart(c.getContext("2d"), cfg);
-    await new Promise(r=>setTimeout(r, 80)); // give iOS a bit more time
+  for(const k of touched){
+    const [m, s] = k.split("|");
+    const v = validateNoOversell(next, m, s);
+    if(!v.ok) return {error: `${m} ${s}：${v.msg || "修改後會造成庫存不合法（賣出超過當時庫存）。"}`};
+  }
+  return {ledger: next};
+}
 
-    const blob = await canvasToBlobSafe(c);
-    exportChart.destroy();
-    return blob;
+function bulkEditLabel(op, n){
+  if(op.kind==="delete") return `批次刪除 ${n} 筆`;
+  if(op.kind==="fees") return `批次重算手續費 ${n} 筆`;
+  if(op.kind==="move") return `批次移到 ${normalizeMarket(op.market)} ${normalizeSymbol(normalizeMarket(op.market), op.symbol)}（${n} 筆）`;
+  const d = toNumber(op.days,0), mi = toNumber(op.minutes,0);
+  const part = (x, unit)=> x ? `${x>0 ? "+" : ""}${x} ${unit}` : "";
+  return `批次平移日期/時間 ${[part(d,"天"), part(mi,"分")].filter(Boolean).join(" ")}（${n} 筆）`;
+}
+
+function commitBulkEdit(ids, op){
+  if(!ledgerWritable()) return false;
+  const list = Array.from(ids, String);
+  const res = applyBulkEdit(ledger, list, op);
+  if(res.error){ alert(res.error); return false; }
+  const changes = diffLots(ledger.lots, res.ledger.lots);
+  ledger = res.ledger;
+  saveLedger(ledger);
+  logChange(op.kind==="delete" ? "delete" : "edit", bulkEditLabel(op, list.length), changes);
+
+  bulkSelections.tx.clear();
+  bulkSelections.log.clear();
+  if(lastQueryMarket && lastQuerySymbol) renderQuery(lastQueryMarket, lastQuerySymbol);
+  refreshHoldings();
+  return true;
+}
+
+function renderBulkBar(scope){
+  const bar = $(scope + "_bulk");
+  if(!bar) return;
+  const sel = bulkSelections[scope];
+  const existing = new Set(ledger.lots.filter(Boolean).map(r => String(r.id)));
+  for(const id of sel) if(!existing.has(id)) sel.delete(id);
+  bar.hidden = sel.size===0;
+  bar.querySelector("[data-bulk-count]").textContent = `已選 ${fmtInt(sel.size)} 筆`;
+  const all = $(scope + "_sel_all");
+  if(all){
+    const boxes = Array.from(document.querySelectorAll(`#${scope}_table input[data-sel]`));
+    all.checked = boxes.length>0 && boxes.every(b => b.checked);
   }
+}
 
-  // A4 landscape @ 300DPI: 3508x2480
-  let blob = await renderAndGetBlob(3508, 2480);
+// checkbox markup for one row; call renderBulkBar after the rows are drawn
+function bulkCheckboxHtml(scope, id){
+  return id ? `<input type="checkbox" data-sel="${escapeHtml(id)}" ${bulkSelections[scope].has(String(id)) ? "checked" : ""} style="width:auto;" />` : "";
+}
 
-  // If failed (common on iOS PWA due to memory), fallback to 200DPI: 2339x1654
-  if(!blob){
-    blob = await renderAndGetBlob(2339, 1654);
+function openBulkDialog(scope){
+  const n = bulkSelections[scope].size;
+  if(n===0) return;
+  bulkScope = scope;
+  $("bulk_title").textContent = `批次修改 ${fmtInt(n)} 筆`;
+  $("bulk_days").value = "";
+  $("bulk_minutes").value = "";
+  $("bulk_symbol").value = "";
+  syncSymbolInput("bulk_symbol", "bulk_market", "bulk_symbol_hint");
+  syncBulkDialog();
+  $("bulk_dialog").showModal();
+}
+
+function syncBulkDialog(){
+  const kind = $("bulk_op").value;
+  $("bulk_shift_box").hidden = kind!=="shift";
+  $("bulk_move_box").hidden = kind!=="move";
+  $("bulk_fees_hint").hidden = kind!=="fees";
+}
+
+function bindBulkEdit(){
+  for(const scope of ["tx","log"]){
+    const table = $(scope + "_table");
+    table.addEventListener("change", (e)=>{
+      const box = e.target.closest("input[data-sel]");
+      if(box){
+        if(box.checked) bulkSelections[scope].add(box.dataset.sel);
+        else bulkSelections[scope].delete(box.dataset.sel);
+      }else if(e.target.id===scope + "_sel_all"){
+        for(const b of table.querySelectorAll("input[data-sel]")){
+          b.checked = e.target.checked;
+          if(b.checked) bulkSelections[scope].add(b.dataset.sel);
+          else bulkSelections[scope].delete(b.dataset.sel);
+        }
+      }
+      renderBulkBar(scope);
+    });
+    $(scope + "_bulk").addEventListener("click", (e)=>{
+      const btn = e.target.closest("button[data-bulk]");
+      if(!btn) return;
+      const sel = bulkSelections[scope];
+      const action = btn.dataset.bulk;
+      if(action==="clear"){
+        sel.clear();
+        table.querySelectorAll("input[data-sel]").forEach(b => { b.checked = false; });
+        renderBulkBar(scope);
+      }else if(action==="edit"){
+        openBulkDialog(scope);
+      }else if(action==="delete"){
+        if(!confirm(`確定要刪除選取的 ${fmtInt(sel.size)} 筆紀錄？\n（之後可在「變更紀錄」一次復原）`)) return;
+        if(commitBulkEdit(sel, {kind:"delete"})) alert("已刪除");
+      }
+    });
   }
+  $("bulk_op").addEventListener("change", syncBulkDialog);
+  // keep the dialog open when the batch is rejected so the inputs can be fixed
+  $("btn_bulk_apply").addEventListener("click", (e)=>{
+    e.preventDefault();
+    const scope = bulkScope;
+    if(!scope) return;
+    const kind = $("bulk_op").value;
+    const op = kind==="shift" ? {kind, days: $("bulk_days").value, minutes: $("bulk_minutes").value}
+      : (kind==="move" ? {kind, market: $("bulk_market").value, symbol: $("bulk_symbol").value} : {kind});
+    if(!commitBulkEdit(bulkSelections[scope], op)) return;
+    $("bulk_dialog").close();
+    alert("已更新");
+  });
+  $("bulk_dialog").addEventListener("close", ()=>{ bulkScope = null; });
+}
+bindBulkEdit();
 
-  if(!blob){
-    alert("匯出失敗：無法產生圖片（可能是 iOS 記憶體限制）。建議先截圖，或我可以再加一個「匯出較小尺寸」按鈕。");
-    return;
+// ---------------- Watchlist ----------------
+// ledger.watchlist = [{id, market, symbol, buyBelow, sellAbove, note, alerted:{buy, sell}}]
+// Targets are compared with latestKnownPrice (price book or imported history). A target notifies once when
+// it is crossed (through the service worker); moving back across it re-arms the alert. alerted is only
+// set once the notification was shown, so a hit found while notifications are off still notifies later.
+
+function getWatchlist(ledgerObj){
+  return Array.isArray(ledgerObj?.watchlist) ? ledgerObj.watchlist.filter(x => x && x.market && x.symbol) : [];
+}
+
+// hits: "buy" when price <= buyBelow, "sell" when price >= sellAbove
+function watchHits(ledgerObj, item){
+  const px = latestKnownPrice(ledgerObj, item.market, item.symbol);
+  const hits = [];
+  if(px && px.price>0){
+    if(item.buyBelow>0 && px.price <= item.buyBelow) hits.push("buy");
+    if(item.sellAbove>0 && px.price >= item.sellAbove) hits.push("sell");
   }
-// iOS: share if possible, otherwise open preview in a new tab
-  const file = new File([blob], filename, { type: "image/png" });
+  return {price: px, hits};
+}
+
+// add, or update the entry for the same market+symbol. Returns {item} or {error}.
+// id = the row being edited (its market / symbol may change); without one, an entry for the same code is updated
+function upsertWatchItem(ledgerObj, {id, market, symbol, buyRaw, sellRaw, note}){
+  const m = normalizeMarket(market);
+  const s = m ? normalizeSymbol(m, symbol) : "";
+  if(!m || !s) return {error:"請輸入市場與代號"};
+  const target = (raw)=> String(raw??"").trim()==="" ? null : toNumber(raw, NaN);
+  const buyBelow = target(buyRaw);
+  const sellAbove = target(sellRaw);
+  if(Number.isNaN(buyBelow) || (buyBelow!=null && buyBelow<=0)) return {error:"買進目標價需為正數（空白＝不設定）"};
+  if(Number.isNaN(sellAbove) || (sellAbove!=null && sellAbove<=0)) return {error:"賣出目標價需為正數（空白＝不設定）"};
+  if(buyBelow!=null && sellAbove!=null && buyBelow>=sellAbove) return {error:"買進目標價需低於賣出目標價"};
+
+  ledgerObj.watchlist = Array.isArray(ledgerObj.watchlist) ? ledgerObj.watchlist : [];
+  const same = ledgerObj.watchlist.find(x => x && x.market===m && x.symbol===s);
+  let item = id ? ledgerObj.watchlist.find(x => x && String(x.id)===String(id)) : same;
+  if(same && item && same!==item) return {error:`觀察清單已經有 ${m} ${s}`};
+  if(!item){
+    item = {id: uuid()};
+    ledgerObj.watchlist.push(item);
+  }
+  item.market = m;
+  item.symbol = s;
+  item.buyBelow = buyBelow;
+  item.sellAbove = sellAbove;
+  item.note = String(note??"").trim();
+  item.alerted = {};
+  return {item};
+}
+
+// targets crossed and not yet notified (fired), and alerted targets no longer hit (rearm); nothing is changed
+function collectWatchAlerts(ledgerObj){
+  const fired = [];
+  const rearm = [];
+  for(const item of getWatchlist(ledgerObj)){
+    const {price, hits} = watchHits(ledgerObj, item);
+    const prev = item.alerted || {};
+    for(const kind of hits){
+      if(!prev[kind]) fired.push({item, kind, price});
+    }
+    for(const kind of ["buy","sell"]){
+      if(prev[kind] && !hits.includes(kind)) rearm.push({item, kind});
+    }
+  }
+  return {fired, rearm};
+}
+
+// store item.alerted[kind] = on for [{item, kind}] (looked up by id: ledger may have been reloaded
+// while notifying). Runs from render / notification callbacks, so a refused write changes nothing and stays quiet.
+function setWatchAlerted(list, on){
+  if(list.length===0 || ledgerTooNew || pendingMigration) return;
+  const items = getWatchlist(ledger);
+  let changed = false;
+  for(const a of list){
+    const item = items.find(x => x.id===a.item.id);
+    if(!item || !!item.alerted?.[a.kind]===on) continue;
+    const next = {...(item.alerted || {})};
+    if(on) next[a.kind] = true;
+    else delete next[a.kind];
+    item.alerted = next;
+    changed = true;
+  }
+  if(changed){
+    try{ saveLedger(ledger); }catch(_){ }
+  }
+}
+
+function watchAlertText(a){
+  const name = symbolName(a.item.market, a.item.symbol);
+  const cur = marketToCurrency(a.item.market);
+  const target = a.kind==="buy" ? a.item.buyBelow : a.item.sellAbove;
+  return `${a.item.market} ${a.item.symbol}${name ? " " + name : ""}｜現價 ${fmtMoney(a.price.price, cur)} ${a.kind==="buy" ? "已低於買進目標" : "已高於賣出目標"} ${fmtMoney(target, cur)}`;
+}
 
+// notifications go through the service worker (iOS only allows them from an installed PWA)
+// returns the alerts actually shown
+async function notifyWatchAlerts(fired){
+  const shown = [];
+  if(fired.length===0) return shown;
+  if(typeof Notification==="undefined" || Notification.permission!=="granted" || !navigator.serviceWorker) return shown;
   try{
-    if(navigator.canShare && navigator.canShare({ files: [file] }) && navigator.share){
-      await navigator.share({ files: [file], title: filename });
-      return;
+    const reg = await navigator.serviceWorker.getRegistration();
+    if(!reg) return shown;
+    for(const a of fired){
+      await reg.showNotification("觀察清單：到達目標價", {
+        body: watchAlertText(a) + (a.item.note ? `\n${a.item.note}` : ""),
+        tag: `watch-${a.item.id}-${a.kind}`,
+        icon: "./icons/icon-192.png",
+        data: {tab: "watch"}
+      });
+      shown.push(a);
     }
   }catch(_){}
+  return shown;
+}
 
-  // Fallback: open in new tab for save/share
-  const url = URL.createObjectURL(blob);
-  const w = window.open(url, "_blank");
-  // In case popup blocked, show a manual link
-  if(!w){
-    const a = document.createElement("a");
-    a.href = url;
-    a.target = "_blank";
-    a.textContent = "點我開啟匯出圖片";
-    a.style.display = "block";
-    a.style.marginTop = "10px";
-    const host = $("page_query") || document.body;
-    host.prepend(a);
-    alert("已產生圖片，請點頁面上的「點我開啟匯出圖片」來保存。");
+function renderWatchlist(){
+  const tbody = $("watch_table")?.querySelector("tbody");
+  if(!tbody) return;
+  const list = getWatchlist(ledger).slice().sort((a,b)=>a.market.localeCompare(b.market) || a.symbol.localeCompare(b.symbol));
+  let hitCount = 0;
+  tbody.innerHTML = list.length===0
+    ? `<tr><td colspan="6" class="hint">尚未加入觀察的股票</td></tr>`
+    : list.map(item=>{
+      const cur = marketToCurrency(item.market);
+      const {price, hits} = watchHits(ledger, item);
+      if(hits.length) hitCount++;
+      const name = symbolName(item.market, item.symbol);
+      const status = hits.length
+        ? hits.map(k => `<span class="pill ${k}">${k==="buy" ? "到買進價" : "到賣出價"}</span>`).join(" ")
+        : (price ? [
+            item.buyBelow>0 ? `距買進 ${fmtPct((item.buyBelow/price.price - 1)*100)}` : "",
+            item.sellAbove>0 ? `距賣出 ${fmtPct((item.sellAbove/price.price - 1)*100)}` : ""
+          ].filter(Boolean).join("<br>") : `<span class="hint">沒有現價</span>`);
+      return `<tr>
+        <td>${escapeHtml(item.market)} ${escapeHtml(item.symbol)}${name ? `<div class="hint">${escapeHtml(name)}</div>` : ""}</td>
+        <td><input data-watch-price="${escapeHtml(keyOf(item.market, item.symbol))}" value="${price ? price.price : ""}" inputmode="decimal" placeholder="輸入" style="width:90px;padding:6px 8px;font-size:14px;border-radius:8px;" />${price ? `<div class="hint">${price.date}</div>` : ""}</td>
+        <td>${item.buyBelow>0 ? `≤ ${fmtMoney(item.buyBelow, cur)}` : "—"}<div class="hint">${item.sellAbove>0 ? `≥ ${fmtMoney(item.sellAbove, cur)}` : "—"}</div></td>
+        <td>${status}</td>
+        <td>${item.note ? escapeHtml(item.note) : ""}</td>
+        <td style="white-space:nowrap;">
+          <button type="button" data-watch-edit="${escapeHtml(item.id)}" style="padding:6px 10px;border:1px solid var(--blue);background:#fff;color:var(--blue);border-radius:10px;font-size:12px;">編輯</button>
+          <button type="button" data-watch-del="${escapeHtml(item.id)}" style="padding:6px 10px;border:1px solid #ff3b30;background:#fff;color:#ff3b30;border-radius:10px;font-size:12px;">刪除</button>
+        </td>
+      </tr>`;
+    }).join("");
+
+  const badge = $("watch_badge");
+  if(badge){
+    badge.textContent = String(hitCount);
+    badge.hidden = hitCount===0;
   }
-  // release later
-  setTimeout(()=>URL.revokeObjectURL(url), 60000);
+  try{
+    if(hitCount>0) navigator.setAppBadge?.(hitCount)?.catch?.(()=>{});
+    else navigator.clearAppBadge?.()?.catch?.(()=>{});
+  }catch(_){}
+  renderWatchNotifyStatus();
 }
-// ===== End export =====
+
+function renderWatchNotifyStatus(){
+  const el = $("watch_notify_status");
+  if(!el) return;
+  const perm = typeof Notification==="undefined" ? "unsupported" : Notification.permission;
+  el.textContent = {
+    granted: "通知：已開啟",
+    denied: "通知：已被拒絕，請到系統設定允許這個 App 的通知",
+    default: "通知：尚未開啟",
+    unsupported: "通知：這個瀏覽器不支援（iPhone 需先「加入主畫面」再從桌面開啟）"
+  }[perm];
+  $("btn_watch_notify").hidden = perm!=="default";
+}
+
+// check targets against the latest prices; loads stored price history first
+function refreshWatchlist(){
+  const list = getWatchlist(ledger);
+  const notLoaded = Array.from(new Set(list.map(x => keyOf(x.market, x.symbol)))).filter(k => !priceHistoryCache.has(k));
+  if(notLoaded.length){
+    Promise.all(notLoaded.map(k => loadPriceHistory(...k.split("|")))).then(()=> refreshWatchlist()).catch(()=>{});
+    return;
+  }
+  const {fired, rearm} = collectWatchAlerts(ledger);
+  renderWatchlist();
+  // alert state is written after drawing, outside the render path
+  setTimeout(()=> setWatchAlerted(rearm, false), 0);
+  notifyWatchAlerts(fired).then(shown => setWatchAlerted(shown, true));
+}
+
+function saveWatchItemFromForm(){
+  if(!ledgerWritable()) return;
+  const res = upsertWatchItem(ledger, {
+    id: watchEditingId,
+    market: $("w_market").value, symbol: $("w_symbol").value,
+    buyRaw: $("w_buy").value, sellRaw: $("w_sell").value, note: $("w_note").value
+  });
+  if(res.error){ alert(res.error); return; }
+  saveLedger(ledger);
+  for(const id of ["w_symbol","w_buy","w_sell","w_note"]) $(id).value = "";
+  setWatchEditing(null);
+  syncSymbolInput("w_symbol", "w_market", "w_symbol_hint");
+  refreshWatchlist();
+}
+
+// the form edits this entry (data-watch-edit) until it is saved or deleted
+let watchEditingId = null;
+function setWatchEditing(id){
+  watchEditingId = id;
+  $("btn_watch_save").textContent = id ? "更新" : "新增／更新";
+}
+
+function bindWatchlist(){
+  $("btn_watch_save").addEventListener("click", saveWatchItemFromForm);
+  $("btn_watch_notify").addEventListener("click", async ()=>{
+    try{ await Notification.requestPermission(); }catch(_){ }
+    renderWatchNotifyStatus();
+    if(typeof Notification!=="undefined" && Notification.permission==="granted") refreshWatchlist();
+  });
+  $("watch_table").addEventListener("click", (e)=>{
+    const del = e.target.closest("button[data-watch-del]");
+    const edit = e.target.closest("button[data-watch-edit]");
+    const id = (del || edit)?.getAttribute(del ? "data-watch-del" : "data-watch-edit");
+    const item = getWatchlist(ledger).find(x => String(x.id)===id);
+    if(!item) return;
+    if(del){
+      if(!ledgerWritable()) return;
+      if(!confirm(`確定要從觀察清單移除 ${item.market} ${item.symbol}？`)) return;
+      ledger.watchlist = ledger.watchlist.filter(x => x!==item);
+      saveLedger(ledger);
+      if(watchEditingId===item.id) setWatchEditing(null);
+      refreshWatchlist();
+    }else{
+      $("w_market").value = item.market;
+      $("w_symbol").value = item.symbol;
+      $("w_buy").value = item.buyBelow ?? "";
+      $("w_sell").value = item.sellAbove ?? "";
+      $("w_note").value = item.note || "";
+      setWatchEditing(item.id);
+      syncSymbolInput("w_symbol", "w_market", "w_symbol_hint");
+      $("w_symbol").scrollIntoView?.({block:"center"});
+    }
+  });
+  $("watch_table").addEventListener("change", (e)=>{
+    const inp = e.target.closest("input[data-watch-price]");
+    if(!inp) return;
+    if(!ledgerWritable()) return;
+    const [market, symbol] = String(inp.dataset.watchPrice).split("|");
+    const s = String(inp.value||"").trim();
+    const price = s==="" ? 0 : toNumber(s, NaN);
+    if(!Number.isFinite(price) || price<0){ alert("現價需為正數（清空＝刪除）"); return; }
+    setLatestPrice(ledger, market, symbol, price);
+    saveLedger(ledger);
+    renderHoldings();
+    refreshWatchlist();
+  });
+  // notification click (sw.js) asks an open window to show the tab
+  try{
+    navigator.serviceWorker?.addEventListener("message", (e)=>{
+      if(e.data?.type==="open-tab" && e.data.tab) setTab(e.data.tab);
+    });
+  }catch(_){}
+}
+bindWatchlist();
 
 function setTab(name){
-  for(const sec of ["add","query","holdings","backup","about"]){
+  for(const sec of ["add","query","trades","holdings","watch","backup","about"]){
     $("tab-"+sec).hidden = (sec!==name);
   }
+  if(name==="trades") renderTradeList();
+  if(name==="holdings") renderTimeline();
   document.querySelectorAll("#tabs button").forEach(b=>{
     b.classList.toggle("active", b.dataset.tab===name);
   });
@@ -1178,41 +4182,318 @@ function seedExample(){
   $("f_qty").value = "100";
   $("f_price").value = "586";
   $("f_fee").value = "20";
+  $("f_tax").value = "0";
+  $("f_daytrade").checked = false;
+  try{ syncAddFormForSide(); }catch(_){ }
+  try{ renderFeeProfileOptions(); autoFillAddFormFees(); }catch(_){ }
+}
+
+// ---------------- Fee profiles (add form + settings card) ----------------
+function renderFeeProfileOptions(){
+  const sel = $("f_fee_profile");
+  if(!sel) return;
+  const market = normalizeMarket($("f_market").value);
+  const list = getFeeProfiles(ledger, market);
+  const def = getFeeProfile(ledger, market, sel.value);
+  sel.innerHTML = list.length
+    ? list.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join("")
+    : `<option value="">（未設定）</option>`;
+  if(def) sel.value = def.id;
+}
+
+function autoFillAddFormFees(){
+  if(!$("f_fee_auto").checked) return;
+  const side = $("f_side").value;
+  const market = normalizeMarket($("f_market").value);
+  const res = calcTradeFees(ledger, {
+    market, side,
+    qty: toNumber($("f_qty").value, NaN),
+    price: toNumber($("f_price").value, NaN),
+    symbol: normalizeSymbol(market, $("f_symbol").value),
+    dayTrade: !!$("f_daytrade").checked,
+    profileId: $("f_fee_profile").value
+  });
+  if(!res) return;
+  $("f_fee").value = String(res.fee);
+  $("f_tax").value = String(res.tax);
+  $("f_sec_fee").value = String(res.secFee ?? 0);
+  $("f_taf").value = String(res.taf ?? 0);
+}
+
+// remember the chosen broker as this market's default
+function setDefaultFeeProfile(market, id){
+  if(!ledgerWritable()) return;
+  ledger.settings = ledger.settings || {};
+  ledger.settings.feeProfileId = {...(ledger.settings.feeProfileId||{}), [market]: id};
+  saveLedger(ledger);
+}
+
+function ensureFeeProfilesEditable(){
+  ledger.settings = ledger.settings || {};
+  ledger.settings.feeProfiles = getFeeProfiles(ledger);
+  return ledger.settings.feeProfiles;
+}
+
+function renderFeeSettings(selectId){
+  const sel = $("fp_select");
+  if(!sel) return;
+  const list = getFeeProfiles(ledger);
+  sel.innerHTML = list.map(p => `<option value="${escapeHtml(p.id)}">[${p.market}] ${escapeHtml(p.name)}</option>`).join("");
+  if(selectId) sel.value = selectId;
+  const p = list.find(x => x.id===sel.value) || list[0];
+  if(!p) return;
+  const def = defaultFeeProfiles().find(x => x.market===p.market) || {};
+  $("fp_market").value = p.market;
+  $("fp_name").value = p.name || "";
+  $("fp_discount").value = p.discount ?? 1;
+  $("fp_min").value = p.minFee ?? 20;
+  $("fp_odd_min").value = p.oddLotMinFee ?? 1;
+  $("fp_us_mode").value = p.commissionMode || "PER_ORDER";
+  $("fp_us_per_order").value = p.perOrder ?? 0;
+  $("fp_us_per_share").value = p.perShare ?? def.perShare ?? 0;
+  $("fp_us_min").value = p.minCommission ?? 0;
+  $("fp_us_max_pct").value = p.maxCommissionPct ?? 0;
+  $("fp_us_sec").value = p.secRatePerMillion ?? def.secRatePerMillion ?? 0;
+  $("fp_us_taf").value = p.tafPerShare ?? def.tafPerShare ?? 0;
+  $("fp_us_taf_max").value = p.tafMax ?? def.tafMax ?? 0;
+  syncFeeSettingsFields();
+}
+
+function syncFeeSettingsFields(){
+  const isUS = $("fp_market").value==="US";
+  $("fp_tw_fields").hidden = isUS;
+  $("fp_us_fields").hidden = !isUS;
+}
+
+function saveFeeProfileFromSettings(){
+  if(!ledgerWritable()) return;
+  const list = ensureFeeProfilesEditable();
+  const p = list.find(x => x.id===$("fp_select").value);
+  if(!p){ alert("找不到這個券商設定"); return; }
+  const name = String($("fp_name").value||"").trim();
+  const market = normalizeMarket($("fp_market").value);
+  if(!name){ alert("請輸入名稱"); return; }
+  if(!market){ alert("市場錯誤"); return; }
+  if(market!==p.market && list.filter(x => x.market===p.market).length<=1){
+    alert("每個市場至少要保留一個券商設定，請改用「新增券商」"); return;
+  }
+
+  if(market==="TW"){
+    const discount = toNumber($("fp_discount").value, NaN);
+    const minFee = toNumber($("fp_min").value, NaN);
+    const oddLotMinFee = toNumber($("fp_odd_min").value, NaN);
+    if(!Number.isFinite(discount) || discount<=0 || discount>1){ alert("折扣需介於 0～1（例如 2.8 折填 0.28）"); return; }
+    if(!Number.isFinite(minFee) || minFee<0 || !Number.isFinite(oddLotMinFee) || oddLotMinFee<0){ alert("最低手續費需為 0 或正數"); return; }
+    Object.assign(p, {market, name, discount, minFee, oddLotMinFee});
+  }else{
+    const nums = {
+      perOrder: toNumber($("fp_us_per_order").value, NaN),
+      perShare: toNumber($("fp_us_per_share").value, NaN),
+      minCommission: toNumber($("fp_us_min").value, NaN),
+      maxCommissionPct: toNumber($("fp_us_max_pct").value, NaN),
+      secRatePerMillion: toNumber($("fp_us_sec").value, NaN),
+      tafPerShare: toNumber($("fp_us_taf").value, NaN),
+      tafMax: toNumber($("fp_us_taf_max").value, NaN)
+    };
+    if(Object.values(nums).some(n => !Number.isFinite(n) || n<0)){ alert("美股費率欄位需為 0 或正數"); return; }
+    Object.assign(p, {market, name, commissionMode: $("fp_us_mode").value==="PER_SHARE" ? "PER_SHARE" : "PER_ORDER", ...nums});
+  }
+  saveLedger(ledger);
+  renderFeeSettings(p.id);
+  renderFeeProfileOptions();
+  autoFillAddFormFees();
+  alert("已儲存券商設定");
+}
+
+function addFeeProfileFromSettings(){
+  if(!ledgerWritable()) return;
+  const list = ensureFeeProfilesEditable();
+  const market = normalizeMarket($("f_market").value) || "TW";
+  const base = defaultFeeProfiles().find(x => x.market===market);
+  const p = {...base, id:uuid(), name:"新券商"};
+  list.push(p);
+  saveLedger(ledger);
+  renderFeeSettings(p.id);
+  renderFeeProfileOptions();
+}
+
+function deleteFeeProfileFromSettings(){
+  if(!ledgerWritable()) return;
+  const list = ensureFeeProfilesEditable();
+  const i = list.findIndex(x => x.id===$("fp_select").value);
+  if(i<0) return;
+  const p = list[i];
+  if(list.filter(x => x.market===p.market).length<=1){ alert("每個市場至少要保留一個券商設定"); return; }
+  if(!confirm(`確定要刪除「${p.name}」？`)) return;
+  list.splice(i, 1);
+  saveLedger(ledger);
+  renderFeeSettings();
+  renderFeeProfileOptions();
+}
+
+// ---------------- Accounts (selectors + settings card) ----------------
+function renderAccountOptions(){
+  const list = getAccounts(ledger);
+  const opts = list.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)}</option>`).join("");
+  const allOpt = `<option value="${ALL_ACCOUNTS}">全部帳戶</option>`;
+  const fill = (id, withAll)=>{
+    const sel = $(id);
+    if(!sel) return;
+    const prev = sel.value;
+    sel.innerHTML = (withAll ? allOpt : "") + opts;
+    sel.value = (prev && (list.some(a => a.id===prev) || (withAll && prev===ALL_ACCOUNTS))) ? prev : (withAll ? ALL_ACCOUNTS : DEFAULT_ACCOUNT);
+  };
+  fill("f_account", false);
+  fill("q_account", true);
+  fill("h_account", true);
+  fill("tl_account", true);
+  fill("acct_select", false);
+  const a = list.find(x => x.id===$("acct_select")?.value);
+  if(a && $("acct_name")) $("acct_name").value = a.name;
+}
+
+function saveAccountFromSettings(){
+  if(!ledgerWritable()) return;
+  const id = $("acct_select").value;
+  const name = String($("acct_name").value||"").trim();
+  if(!name){ alert("請輸入名稱"); return; }
+  if(getAccounts(ledger).some(a => a.name===name && a.id!==id)){ alert("已有同名的帳戶"); return; }
+  ledger.accounts = Array.isArray(ledger.accounts) ? ledger.accounts : [];
+  const a = ledger.accounts.find(x => String(x.id)===id);
+  if(a) a.name = name;
+  else ledger.accounts.push({id, name});
+  saveLedger(ledger);
+  renderAccountOptions();
+  renderHoldings();
+  alert("已儲存帳戶名稱");
+}
+
+function addAccountFromSettings(){
+  if(!ledgerWritable()) return;
+  const base = "新帳戶";
+  const names = new Set(getAccounts(ledger).map(a => a.name));
+  let name = base;
+  for(let n=2; names.has(name); n++) name = `${base} ${n}`;
+  const a = addAccount(ledger, name);
+  saveLedger(ledger);
+  $("acct_select").value = "";
+  renderAccountOptions();
+  $("acct_select").value = a.id;
+  $("acct_name").value = a.name;
+  $("acct_name").focus();
+}
+
+function deleteAccountFromSettings(){
+  if(!ledgerWritable()) return;
+  const id = $("acct_select").value;
+  if(id===DEFAULT_ACCOUNT){ alert("預設帳戶不能刪除"); return; }
+  const used = ledger.lots.filter(r => r && r.type!=="ACTION" && accountOf(r)===id).length;
+  if(used>0){ alert(`這個帳戶還有 ${used} 筆交易，請先刪除或移到其他帳戶`); return; }
+  if(!confirm(`確定要刪除「${accountName(ledger, id)}」？`)) return;
+  ledger.accounts = (ledger.accounts||[]).filter(a => String(a.id)!==id);
+  saveLedger(ledger);
+  renderAccountOptions();
+  renderHoldings();
 }
 
 function addTrade(){
+  if(!ledgerWritable()) return;
   const market = normalizeMarket($("f_market").value);
   const side = $("f_side").value;
+  const account = $("f_account").value || DEFAULT_ACCOUNT;
   const symbol = normalizeSymbol(market, $("f_symbol").value);
   const ts = parseTimestamp($("f_date").value, $("f_time").value);
   const qty = toNumber($("f_qty").value, NaN);
   const price = toNumber($("f_price").value, NaN);
   const fee = toNumber($("f_fee").value||0, 0);
+  const isUS = market==="US";
+  const tax = isUS ? 0 : toNumber($("f_tax").value||0, 0);
+  const secFee = isUS ? toNumber($("f_sec_fee").value||0, 0) : 0;
+  const taf = isUS ? toNumber($("f_taf").value||0, 0) : 0;
+  const dayTrade = !isUS && !!$("f_daytrade").checked;
+
+  if(!market){ alert("市場錯誤"); return; }
+  if(!symbol){ alert("請輸入股票代號"); return; }
+  if(!ts){ alert("日期格式請用 YYYY-MM-DD，時間可留空或用 HH:mm"); return; }
+
+  if(side==="DIVIDEND"){
+    const res = buildDividendRecord(ledger, {
+      ts, market, symbol, account,
+      qtyRaw: "",
+      perShareRaw: $("f_div_ps").value,
+      amountRaw: $("f_div_amount").value,
+      taxRaw: $("f_div_tax").value
+    });
+    if(res.error){ alert(res.error); return; }
+    ledger.lots.push(res.rec);
+    saveLedger(ledger);
+    logChange("add", `新增 ${recordLabel(res.rec)}`, [{id: res.rec.id, before: null, after: cloneRec(res.rec)}]);
+
+    const log = buildLogForOne(ledger, market, symbol, account);
+    const cur = log.currency;
+    alert(`已新增：${symbol} 現金股利\n` +
+          `股利總額：${fmtMoney(res.rec.amount, cur)}（扣繳 ${fmtMoney(res.rec.tax, cur)}）\n` +
+          `累計股利收入：${fmtMoney(log.dividendIncome, cur)}`);
+
+    refreshHoldings();
+    try{ updateHeaderStatus(); }catch(_){ }
+    return;
+  }
+
+  if(side==="ACTION"){
+    const res = buildCorporateActionRecord(ledger, {
+      ts, market, symbol,
+      action: $("f_act_type").value,
+      fromRaw: $("f_act_from").value,
+      toRaw: $("f_act_to").value,
+      per1000Raw: $("f_act_per1000").value,
+      cashRaw: $("f_act_cash").value
+    });
+    if(res.error){ alert(res.error); return; }
+    ledger.lots.push(res.rec);
+    saveLedger(ledger);
+    logChange("add", `新增 ${recordLabel(res.rec)}`, [{id: res.rec.id, before: null, after: cloneRec(res.rec)}]);
+
+    const log = buildLogForOne(ledger, market, symbol);
+    const cur = log.currency;
+    alert(`已新增：${symbol} ${corporateActionLabel(res.rec)}\n` +
+          `目前庫存：${fmtInt(log.holdingQty)}\n` +
+          `平均成本：${fmtMoney(log.avgCost, cur)}`);
+
+    refreshHoldings();
+    try{ updateHeaderStatus(); }catch(_){ }
+    return;
+  }
 
-  if(!market){ alert("市場錯誤"); return; }
-  if(!symbol){ alert("請輸入股票代號"); return; }
-  if(!ts){ alert("日期格式請用 YYYY-MM-DD，時間可留空或用 HH:mm"); return; }
   if(!Number.isFinite(qty) || qty<=0){ alert("數量需為正數"); return; }
   if(!Number.isFinite(price) || price<=0){ alert("價格需為正數"); return; }
 
-  // ✅ SELL 防呆：不能賣超過庫存
+  // ✅ SELL 防呆：不能賣超過庫存（同一帳戶）
   if(side==="SELL"){
-    const curLog = buildLogForOne(ledger, market, symbol);
+    const curLog = buildLogForOne(ledger, market, symbol, account);
     const curQty = toNumber(curLog?.holdingQty, 0);
     if(qty > curQty){
-      alert(`庫存只有 ${fmtInt(curQty)} 股，不能賣出 ${fmtInt(qty)} 股`);
+      const acct = getAccounts(ledger).length>1 ? `「${accountName(ledger, account)}」` : "";
+      alert(`${acct}庫存只有 ${fmtInt(curQty)} 股，不能賣出 ${fmtInt(qty)} 股`);
       return;
     }
   }
 
-  const rec = {id:uuid(), timestamp:ts, market, symbol, type:side, qty, price, fee};
+  if(fee<0 || tax<0 || secFee<0 || taf<0){ alert("手續費／交易稅／規費需為 0 或正數"); return; }
+
+  const rec = {id:uuid(), timestamp:ts, market, symbol, account, type:side, qty, price, fee, tax};
+  if(isUS){ rec.secFee = secFee; rec.taf = taf; }
+  if(dayTrade) rec.dayTrade = true;
   ledger.lots.push(rec);
   saveLedger(ledger);
+  logChange("add", `新增 ${recordLabel(rec)}`, [{id: rec.id, before: null, after: cloneRec(rec)}]);
 
-  // quick feedback: show holding after this symbol
-  const log = buildLogForOne(ledger, market, symbol);
+  // quick feedback: show holding after this symbol (in this account)
+  const log = buildLogForOne(ledger, market, symbol, account);
   const cur = log.currency;
   alert(`已新增：${symbol} ${side==="BUY"?"買":"賣"}\n` +
+        (isUS ? `佣金：${fmtMoney(fee, cur)}｜SEC：${fmtMoney(secFee, cur)}｜TAF：${fmtMoney(taf, cur)}\n`
+              : `手續費：${fmtMoney(fee, cur)}｜交易稅：${fmtMoney(tax, cur)}\n`) +
         `交易後庫存：${fmtInt(log.holdingQty)}\n` +
         `平均成本：${fmtMoney(log.avgCost, cur)}`);
 
@@ -1223,31 +4504,409 @@ function addTrade(){
   try{ $("f_time").value = formatTimeHHMM(new Date()); }catch(_){ }
 }
 
+function syncCostMethodUI(){
+  for(const m of ["TW","US"]){
+    const el = $("cm_"+m);
+    if(el) el.value = getCostMethod(ledger, m);
+  }
+}
+
+function setCostMethod(market, method){
+  if(!COST_METHODS[method]) return;
+  if(!ledgerWritable()){ syncCostMethodUI(); return; }
+  ledger = loadLedger();
+  ledger.settings = ledger.settings || {};
+  ledger.settings.costMethod = {...(ledger.settings.costMethod||{}), [market]: method};
+  saveLedger(ledger);
+  if(lastQueryMarket===market && lastQuerySymbol) renderQuery(lastQueryMarket, lastQuerySymbol);
+  refreshHoldings();
+}
+
 function renderHoldings(){
+  syncCostMethodUI();
+  const base = getBaseCurrency(ledger);
+  $("h_base_currency").value = base;
+  $("th_base_cost").textContent = `成本（${base}）`;
+  $("th_base_value").textContent = `市值（${base}）`;
+  $("th_base_realized").textContent = `已實現（${base}）`;
+
   const tbody = $("holdings_table").querySelector("tbody");
   tbody.innerHTML = "";
-  const rows = computeHoldings(ledger).sort((a,b)=>a.market.localeCompare(b.market) || a.symbol.localeCompare(b.symbol));
+  const account = $("h_account")?.value || ALL_ACCOUNTS;
+  const rows = computeHoldings(ledger, account).sort((a,b)=>a.market.localeCompare(b.market) || a.symbol.localeCompare(b.symbol));
   if(rows.length===0){
     const tr=document.createElement("tr");
-    tr.innerHTML = `<td colspan="5" class="hint">目前沒有資料</td>`;
+    tr.innerHTML = `<td colspan="13" class="hint">目前沒有資料</td>`;
     tbody.appendChild(tr);
+    renderAllocation([], account, base);
+    renderTimeline();
     return;
   }
+  // TWR needs the price history: load it once, then draw again
+  const keys = Array.from(new Set(ledger.lots.filter(x => x && recInAccount(x, account)).map(x => keyOf(x.market, x.symbol))));
+  const notLoaded = keys.filter(k => !priceHistoryCache.has(k));
+  if(notLoaded.length){
+    Promise.all(notLoaded.map(k => loadPriceHistory(...k.split("|")))).then(()=> renderHoldings());
+  }
+  // value / unrealized totals only cover positions that have a stored price
+  const total = {cost:0, realized:0, dividends:0, value:0, pricedCost:0, missingFx:false, missingPrice:false};
+  const fmtBase = (n, missing)=> missing ? `<span class="hint">缺匯率</span>` : fmtMoney(n, base);
   for(const p of rows){
+    const b = positionInBase(ledger, p, base);
+    const mv = p.qty>0 ? positionMarketValue(ledger, p) : null;
+    const valueBase = mv ? convertCurrency(ledger, mv.value, p.currency, base, mv.date) : 0;
+    if(p.qty>0 && !mv) total.missingPrice = true;
+    if(b.missingFx || !Number.isFinite(valueBase)) total.missingFx = true;
+    else{
+      total.cost += b.cost; total.realized += b.realized; total.dividends += b.dividends;
+      if(mv){ total.value += valueBase; total.pricedCost += b.cost; }
+    }
+
+    const priceCell = p.qty>0
+      ? `<input data-price-key="${escapeHtml(keyOf(p.market, p.symbol))}" value="${mv ? mv.price : ""}" inputmode="decimal" placeholder="輸入" style="width:90px;padding:6px 8px;font-size:14px;border-radius:8px;" />` +
+        (mv ? `<div class="hint">${mv.date}</div>` : "")
+      : "—";
+    const pnlColor = (n)=> n>0 ? "var(--red)" : (n<0 ? "var(--green)" : "inherit");
     const tr=document.createElement("tr");
     tr.innerHTML = `
       <td>${p.market}</td>
-      <td>${p.symbol}</td>
+      <td>${p.symbol}${symbolName(p.market, p.symbol) ? `<div class="hint">${escapeHtml(symbolName(p.market, p.symbol))}</div>` : ""}</td>
       <td>${fmtInt(p.qty)}</td>
       <td>${fmtMoney(p.avg, p.currency)}</td>
+      <td>${priceCell}</td>
+      <td>${mv ? fmtMoney(mv.value, p.currency) : "—"}</td>
+      <td>${mv ? `<span style="color:${pnlColor(mv.unrealized)}">${fmtMoney(mv.unrealized, p.currency)}</span><div class="hint">${fmtPct(mv.unrealizedPct)}</div>` : "—"}</td>
       <td>${fmtMoney(p.realized, p.currency)}</td>
+      <td>${fmtMoney(p.dividends, p.currency)}</td>
+      <td>${returnsCellHtml(cachedReturns(`symbol|${p.market}|${p.symbol}|${account}`, ()=> symbolReturns(ledger, p.market, p.symbol, account)))}</td>
+      <td>${fmtBase(b.cost, b.missingFx)}</td>
+      <td>${mv ? fmtBase(valueBase, !Number.isFinite(valueBase)) : "—"}</td>
+      <td>${fmtBase(b.realized, b.missingFx)}</td>
     `;
     tbody.appendChild(tr);
   }
+  const unrealized = total.value - total.pricedCost;
+  const tr=document.createElement("tr");
+  tr.innerHTML = `
+    <td colspan="9"><b>合計（${base}）</b>
+      <div>未實現損益：<b>${fmtMoney(unrealized, base)}</b>（${fmtPct(total.pricedCost>0 ? unrealized/total.pricedCost*100 : null)}）</div>
+      <div class="hint">股利收入合計：${fmtMoney(total.dividends, base)}</div>
+      ${total.missingPrice ? `<div class="hint">部分持股尚未輸入現價，市值與未實現損益只計算有現價的持股。</div>` : ""}
+      ${total.missingFx ? `<div class="hint">部分持股缺少匯率，未計入合計；請在下方匯率表補上 USD/TWD。</div>` : ""}</td>
+    <td>${returnsCellHtml(cachedReturns(`portfolio|${account}|${base}`, ()=> portfolioReturns(ledger, account, base)))}</td>
+    <td><b>${fmtMoney(total.cost, base)}</b></td>
+    <td><b>${fmtMoney(total.value, base)}</b></td>
+    <td><b>${fmtMoney(total.realized, base)}</b></td>
+  `;
+  tbody.appendChild(tr);
+  renderAllocation(rows, account, base);
+  renderTimeline();
+}
+
+// ---------------- Allocation chart ----------------
+const ALLOC_COLORS = ["#1e88e5","#ff5c93","#34c759","#ff9500","#7c3aed","#00b8d4","#f4511e","#8d6e63","#43a047","#fdd835","#546e7a","#d81b60"];
+let allocChart = null;
+
+function getConcentrationLimit(ledgerObj){
+  const n = toNumber(ledgerObj?.settings?.concentrationLimit, NaN);
+  return (n>0 && n<=100) ? n : null;
+}
+
+// weights of open positions in the base currency; basis "value" uses market value where a price exists
+function buildAllocation(ledgerObj, positions, base, basis, group){
+  const items = [];
+  let fallback = false;
+  for(const p of positions){
+    if(!(p.qty>0)) continue;
+    const cost = positionInBase(ledgerObj, p, base).cost;
+    const mv = basis==="value" ? positionMarketValue(ledgerObj, p) : null;
+    const amount = mv ? convertCurrency(ledgerObj, mv.value, p.currency, base, mv.date) : cost;
+    if(!Number.isFinite(amount)) return {slices: [], total: 0, positions: [], missingFx: true};
+    if(basis==="value" && !mv) fallback = true;
+    items.push({market: p.market, symbol: p.symbol, account: p.account, amount});
+  }
+  const total = items.reduce((s,x)=>s + x.amount, 0);
+  const groups = new Map();
+  for(const x of items){
+    const key = group==="market" ? x.market : (group==="account" ? x.account : keyOf(x.market, x.symbol));
+    const label = group==="market" ? (x.market==="TW" ? "台股" : "美股")
+      : (group==="account" ? accountName(ledgerObj, x.account) : `${x.market} ${x.symbol}`);
+    if(!groups.has(key)) groups.set(key, {key, label, amount:0, market: x.market, symbol: x.symbol});
+    groups.get(key).amount += x.amount;
+  }
+  const slices = Array.from(groups.values()).sort((a,b)=>b.amount - a.amount)
+    .map(g => ({...g, weight: total>0 ? g.amount/total*100 : 0}));
+  const byPosition = new Map();
+  for(const x of items){
+    const k = keyOf(x.market, x.symbol);
+    byPosition.set(k, {market: x.market, symbol: x.symbol, amount: (byPosition.get(k)?.amount || 0) + x.amount});
+  }
+  const posWeights = Array.from(byPosition.values()).map(x => ({...x, weight: total>0 ? x.amount/total*100 : 0}));
+  return {slices, total, positions: posWeights, fallback, missingFx: false};
+}
+
+function renderAllocation(holdingRows, account, base){
+  const canvas = $("chart_alloc");
+  if(!canvas) return;
+  const group = $("alloc_group").value;
+  const basis = $("alloc_basis").value;
+  const limit = getConcentrationLimit(ledger);
+  if(document.activeElement!==$("alloc_limit")) $("alloc_limit").value = limit ?? "";
+
+  // per account needs the positions before they are merged per symbol
+  let positions = holdingRows;
+  if(group==="account"){
+    const book = new Map();
+    for(const r of sortByTimestamp(ledger.lots.filter(x => x && recInAccount(x, account)))) applyRecordToBook(book, ledger, r);
+    positions = Array.from(book.values());
+  }
+  const a = buildAllocation(ledger, positions, base, basis, group);
+
+  const notes = [];
+  if(a.missingFx) notes.push(`<div class="hint">部分持股缺少匯率，無法計算配置；請在下方匯率表補上 USD/TWD。</div>`);
+  if(a.fallback) notes.push(`<div class="hint">部分持股沒有現價，以成本計算。</div>`);
+  if(limit!=null){
+    for(const p of a.positions.filter(x => x.weight > limit).sort((x,y)=>y.weight - x.weight)){
+      notes.push(`<div style="color:var(--red); font-size:14px;">⚠ ${escapeHtml(p.market)} ${escapeHtml(p.symbol)} 佔 ${fmtNum(p.weight,1)}%，超過 ${fmtNum(limit,1)}%</div>`);
+    }
+  }
+  $("alloc_warning").innerHTML = notes.join("");
+
+  if(allocChart){ allocChart.destroy(); allocChart = null; }
+  $("alloc_card").hidden = a.slices.length===0 && !a.missingFx;
+  if(a.slices.length===0) return;
+  allocChart = new Chart(canvas.getContext("2d"), {
+    type: "doughnut",
+    data: {
+      labels: a.slices.map(x => x.label),
+      datasets: [{
+        data: a.slices.map(x => x.amount),
+        backgroundColor: a.slices.map((_, i) => ALLOC_COLORS[i % ALLOC_COLORS.length])
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: true, position: "bottom" },
+        tooltip: {
+          callbacks: {
+            label: (item)=>{
+              const x = a.slices[item.dataIndex];
+              return `${x.label}：${fmtMoney(x.amount, base)}（${fmtNum(x.weight,1)}%）`;
+            }
+          }
+        }
+      },
+      onClick: (evt, elements)=>{
+        if(group!=="symbol" || !elements?.length) return;
+        const x = a.slices[elements[0].index];
+        if(x) openSymbolInQuery(x.market, x.symbol, account);
+      }
+    }
+  });
+}
+
+function openSymbolInQuery(market, symbol, account=ALL_ACCOUNTS){
+  $("q_market").value = market;
+  $("q_symbol").value = symbol;
+  syncSymbolInput("q_symbol", "q_market", "q_symbol_hint");
+  const qa = $("q_account");
+  if(qa && Array.from(qa.options).some(o => o.value===account)) qa.value = account;
+  setTab("query");
+  renderQuery(market, symbol);
+}
+
+// ---------------- Portfolio timeline ----------------
+let timelineChart = null;
+// inputs of the chart on screen; renderHoldings runs after every save, the replay only when something it reads changed
+let timelineRenderedKey = null;
+
+// replay the filtered records day by day (first record → today): open cost, cumulative realized P&L and,
+// when every open position has a close / price-book price on or before that day, the market value.
+// market "" = all markets in the base currency, otherwise that market's own currency
+function buildPortfolioTimeline(ledgerObj, {market="", account=ALL_ACCOUNTS}={}, base="TWD"){
+  const currency = market ? marketToCurrency(market) : base;
+  const recs = sortByTimestamp(ledgerObj.lots.filter(r => r && (!market || r.market===market) && recInAccount(r, account)));
+  if(recs.length===0) return {currency, points: [], missingFx: false};
+
+  const prices = new Map(); // key -> {hist, i, px}
+  const priceOn = (m, s, date)=>{
+    const k = keyOf(m, s);
+    if(!prices.has(k)) prices.set(k, {hist: getCachedPriceHistory(m, s), i: 0, px: null});
+    const c = prices.get(k);
+    while(c.i < c.hist.length && c.hist[c.i].date <= date){ c.px = toNumber(c.hist[c.i].close, 0); c.i++; }
+    const lastDate = c.hist.length ? c.hist[c.hist.length-1].date : "";
+    const bookPx = getLatestPrice(ledgerObj, m, s);
+    if(bookPx && bookPx.date <= date && bookPx.date > lastDate) return bookPx.price;
+    return c.px;
+  };
+
+  const book = new Map();
+  const start = dateToDayNumber(recs[0].timestamp);
+  const end = Math.max(dateToDayNumber(formatDateYYYYMMDD(new Date())), dateToDayNumber(recs[recs.length-1].timestamp));
+  const points = [];
+  let ri = 0, invested = 0, realized = 0, missingFx = false;
+  for(let d=start; d<=end; d++){
+    const date = dayNumberToDate(d);
+    let changed = false;
+    while(ri < recs.length && String(recs[ri].timestamp).slice(0,10) <= date){
+      applyRecordToBook(book, ledgerObj, recs[ri++]);
+      changed = true;
+    }
+    if(changed){
+      invested = 0; realized = 0;
+      for(const p of book.values()){
+        const b = positionInBase(ledgerObj, p, currency);
+        invested += b.cost; realized += b.realized;
+      }
+      if(!Number.isFinite(invested + realized)) missingFx = true;
+    }
+    let value = 0;
+    for(const p of book.values()){
+      if(!(p.qty>1e-9)) continue;
+      const px = priceOn(p.market, p.symbol, date);
+      if(px==null){ value = null; break; }
+      value += convertCurrency(ledgerObj, p.qty*px, p.currency, currency, date);
+    }
+    const ok = (n)=> Number.isFinite(n) ? n : null;
+    points.push({date, invested: ok(invested), realized: ok(realized), value: value==null ? null : ok(value)});
+  }
+  return {currency, points, missingFx};
+}
+
+function timelineChartConfig(tl, forExport=false){
+  const fontSize = forExport ? 22 : undefined;
+  const line = (label, key, color)=>({
+    label,
+    data: tl.points.map(p => p[key]),
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: forExport ? 4 : 2,
+    pointRadius: 0,
+    tension: 0,
+    spanGaps: false
+  });
+  return {
+    type: "line",
+    data: {
+      labels: tl.points.map(p => p.date),
+      datasets: [
+        line("投入成本", "invested", ALLOC_COLORS[0]),
+        line("累計已實現損益", "realized", ALLOC_COLORS[1]),
+        line("市值", "value", ALLOC_COLORS[2])
+      ]
+    },
+    options: {
+      responsive: !forExport,
+      maintainAspectRatio: false,
+      animation: forExport ? false : undefined,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { display: true, labels: fontSize ? { font: { size: fontSize } } : {} },
+        tooltip: {
+          enabled: !forExport,
+          callbacks: {
+            label: (item)=> `${item.dataset.label}：${item.raw==null ? "—" : fmtMoney(item.raw, tl.currency)}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { autoSkip: true, maxTicksLimit: 12, maxRotation: 0, ...(fontSize ? { font: { size: fontSize }, color: "#111" } : {}) } },
+        y: { ticks: fontSize ? { font: { size: fontSize }, color: "#111" } : {} }
+      }
+    }
+  };
+}
+
+function timelineFilters(){
+  return {market: normalizeMarket($("tl_market")?.value) || "", account: $("tl_account")?.value || ALL_ACCOUNTS};
+}
+
+function renderTimeline(){
+  const canvas = $("chart_timeline");
+  if(!canvas) return;
+  // drawn when the holdings tab is opened (setTab)
+  if($("tab-holdings").hidden) return;
+  const filters = timelineFilters();
+  const base = getBaseCurrency(ledger);
+  const renderKey = [dataVersion, formatDateYYYYMMDD(new Date()), filters.market, filters.account, base].join("|");
+  if(renderKey===timelineRenderedKey) return;
+  timelineRenderedKey = renderKey;
+  const recs = ledger.lots.filter(r => r && (!filters.market || r.market===filters.market) && recInAccount(r, filters.account));
+  // market value needs the stored price history: load it once, then draw again
+  const notLoaded = Array.from(new Set(recs.map(r => keyOf(r.market, r.symbol)))).filter(k => !priceHistoryCache.has(k));
+  if(notLoaded.length){
+    Promise.all(notLoaded.map(k => loadPriceHistory(...k.split("|")))).then(()=> renderTimeline());
+  }
+  const tl = buildPortfolioTimeline(ledger, filters, base);
+
+  if(timelineChart){ timelineChart.destroy(); timelineChart = null; }
+  $("timeline_card").hidden = ledger.lots.length===0;
+  const notes = [];
+  if(tl.points.length===0) notes.push(`<div class="hint">目前沒有資料</div>`);
+  if(tl.missingFx) notes.push(`<div class="hint">部分日期缺少匯率，成本與已實現損益在那些日期不顯示；請在下方匯率表補上 USD/TWD。</div>`);
+  if(tl.points.length && tl.points.some(p => p.value==null && p.invested>0)) notes.push(`<div class="hint">市值只畫出所有持股都有歷史股價（或現價）的日期。</div>`);
+  $("timeline_note").innerHTML = notes.join("");
+  if(tl.points.length===0) return;
+  timelineChart = new Chart(canvas.getContext("2d"), timelineChartConfig(tl));
+}
+
+async function exportTimelineA4Png(){
+  if(!window.Chart){
+    alert("找不到 Chart.js，無法匯出圖表。");
+    return;
+  }
+  const filters = timelineFilters();
+  const tl = buildPortfolioTimeline(ledger, filters, getBaseCurrency(ledger));
+  if(tl.points.length===0){
+    alert("目前沒有圖表資料可匯出。");
+    return;
+  }
+  const today = formatDateYYYYMMDD(new Date());
+  const scope = [filters.market || "全部市場"];
+  if(filters.account!==ALL_ACCOUNTS) scope.push(accountName(ledger, filters.account));
+  const cfg = timelineChartConfig(tl, true);
+  cfg.options.layout = { padding: { top: 170, left: 70, right: 70, bottom: 160 } };
+  cfg.plugins = [a4BackgroundPlugin(), a4HeaderPlugin(`投資組合走勢 ${scope.join(" ")}（${tl.currency}） ${today}`)];
+  await exportChartA4Png(cfg, `stock-ledger_timeline_${filters.market || "ALL"}_${today.replace(/-/g,"")}.png`);
+}
+
+function returnsCellHtml(ret){
+  const f = fmtReturns(ret);
+  return `XIRR ${f.xirr}<div class="hint">TWR ${f.twr}</div>`;
+}
+
+function returnsSummaryHtml(market, symbol, account){
+  const f = fmtReturns(cachedReturns(`symbol|${market}|${symbol}|${account}`, ()=> symbolReturns(ledger, market, symbol, account)));
+  return `<div>年化報酬（XIRR）：<b>${f.xirr}</b>　時間加權報酬（TWR）：<b>${f.twr}</b></div>`;
+}
+
+function renderFxTable(){
+  const tbody = $("fx_table").querySelector("tbody");
+  const rates = getFxRates(ledger).reverse();
+  tbody.innerHTML = rates.length===0
+    ? `<tr><td colspan="3" class="hint">尚未輸入匯率</td></tr>`
+    : rates.map(x => `<tr><td>${x.date}</td><td>${fmtNum(x.rate, 4)}</td><td><button type="button" data-fx-del="${x.date}" style="padding:6px 10px;border:1px solid #ff3b30;background:#fff;color:#ff3b30;border-radius:10px;font-size:12px;">刪除</button></td></tr>`).join("");
+}
+
+function addFxRateFromForm(){
+  if(!ledgerWritable()) return;
+  const date = normalizeCsvDate($("fx_date").value);
+  const rate = toNumber($("fx_rate").value, NaN);
+  if(!date){ alert("請選擇日期"); return; }
+  if(!Number.isFinite(rate) || rate<=0){ alert("匯率需為正數"); return; }
+  upsertFxRate(ledger, date, rate);
+  saveLedger(ledger);
+  $("fx_rate").value = "";
+  renderFxTable();
+  renderHoldings();
 }
 
 function renderQuery(market, symbol){
-  const log = buildLogForOne(ledger, market, symbol);
+  const account = $("q_account")?.value || ALL_ACCOUNTS;
+  const log = buildLogForOne(ledger, market, symbol, account);
+  const multiAccount = getAccounts(ledger).length>1;
   lastQueryLog = log;
   lastQueryMarket = market;
   lastQuerySymbol = symbol;
@@ -1258,10 +4917,17 @@ function renderQuery(market, symbol){
 
   const cur = log.currency;
   $("report_summary").innerHTML = `
-    <div><b>${market}｜${symbol}</b></div>
+    <div><b>${market}｜${symbol}</b>${symbolName(market, symbol) ? ` ${escapeHtml(symbolName(market, symbol))}` : ""}${multiAccount ? `　<span class="hint">${escapeHtml(accountName(ledger, account))}</span>` : ""}</div>
     <div>目前庫存：<b>${fmtInt(log.holdingQty)}</b></div>
     <div>平均成本：<b>${fmtMoney(log.avgCost, cur)}</b></div>
     <div>已實現損益：<b>${fmtMoney(log.realizedPnl, cur)}</b></div>
+    <div>股利收入：<b>${fmtMoney(log.dividendIncome, cur)}</b></div>
+    <div id="q_returns">${returnsSummaryHtml(market, symbol, account)}</div>
+    ${log.washDisallowed ? `<div class="hint">洗售不認列虧損 ${fmtMoney(log.washDisallowed, cur)}（已轉入替代批次成本，已實現損益已扣除）</div>` : ""}
+    <div class="hint">成本計算：${COST_METHODS[log.method]}</div>
+    ${(log.method!=="AVG" && log.openLots.length>0) ? `<div class="hint">剩餘批次：<br>${
+      log.openLots.map(l => `${String(l.ts).slice(0,10)}　${fmtInt(l.qty)} 股 @ ${fmtNum(l.qty>0 ? l.cost/l.qty : 0, 2)}`).join("<br>")
+    }</div>` : ""}
   `;
 
   // table
@@ -1284,6 +4950,9 @@ function renderQuery(market, symbol){
       }
     });
   }
+  // selections only cover the rows listed for this symbol
+  const shown = new Set(log.rows.map(r => String(r.id||"")));
+  for(const id of bulkSelections.log) if(!shown.has(id)) bulkSelections.log.delete(id);
   tbody.innerHTML = "";
   if(log.rows.length===0){
     const tr=document.createElement("tr");
@@ -1293,35 +4962,299 @@ function renderQuery(market, symbol){
     for(const r of log.rows){
       const tr=document.createElement("tr");
       if(r.id) tr.dataset.id = String(r.id);
-      const pill = r.side==="BUY" ? `<span class="pill buy">買</span>` : `<span class="pill sell">賣</span>`;
+      const pillClass = {BUY:"buy", SELL:"sell", DIVIDEND:"div", ACTION:"act"}[r.side] || "";
+      const pill = `<span class="pill ${pillClass}">${sideLabel(r.side)}</span>`;
+      let pxCell = fmtNum(r.px,2);
+      let qtyCell = fmtInt(r.q);
+      if(r.side==="DIVIDEND"){
+        pxCell = `${fmtNum(r.px,2)}<div class="hint">總額 ${fmtMoney(r.amount, cur)}${r.tax ? `｜扣繳 ${fmtNum(r.tax,2)}` : ""}</div>`;
+      }else if(r.wash){
+        pxCell += `<div class="hint"><span class="pill sell">洗售</span> 不認列虧損 ${fmtMoney(r.wash.disallowed, cur)}，轉入 ${
+          r.wash.replacements.map(x => String(x.ts).slice(0,10)).join("、")} 買入的成本</div>`;
+      }else if(r.washAdj){
+        pxCell += `<div class="hint">成本含洗售調整 +${fmtMoney(r.washAdj, cur)}</div>`;
+      }else if(r.side==="ACTION"){
+        qtyCell = (r.q>=0 ? "+" : "") + fmtInt(r.q);
+        pxCell = `<div class="hint">${r.note}${r.cash ? `<br>退還 ${fmtMoney(r.cash, cur)}` : ""}</div>`;
+      }
       tr.innerHTML = `
-        <td>${r.idx}</td>
-        <td>${String(r.ts).slice(0,10)}</td>
+        <td><label class="check" style="min-height:0;">${bulkCheckboxHtml("log", r.id)}${r.idx}</label></td>
+        <td>${String(r.ts).slice(0,10)}${(multiAccount && account===ALL_ACCOUNTS && r.account) ? `<div class="hint">${escapeHtml(accountName(ledger, r.account))}</div>` : ""}</td>
         <td>${pill}</td>
-        <td>${fmtInt(r.q)}</td>
-        <td>${fmtNum(r.px,2)}</td>
+        <td>${qtyCell}</td>
+        <td>${pxCell}</td>
         <td><b>${fmtInt(r.afterQty)}</b></td>
         <td>${fmtMoney(r.avg, cur)}<div style="margin-top:6px;"><button type="button" data-del="${r.id||""}" style="padding:6px 10px;border:1px solid #ff3b30;background:#fff;color:#ff3b30;border-radius:10px;font-size:12px;">刪除</button></div></td>
       `;
       tbody.appendChild(tr);
     }
   }
+  renderBulkBar("log");
+
+  // 現價 defaults to the stored price (unless the user typed one)
+  const tp = $("q_today_price");
+  if(tp && (!String(tp.value||"").trim() || tp.dataset.auto==="1")){
+    const lp = getLatestPrice(ledger, market, symbol);
+    tp.value = lp ? String(lp.price) : "";
+    tp.dataset.auto = "1";
+  }
 
-  // chart
+  // chart (switches to a date axis once the price history is loaded)
   drawChartForQuery(log);
+  loadPriceHistory(market, symbol).then((rows)=>{
+    if(rows.length>=2 && lastQueryLog===log){
+      drawChartForQuery(log);
+      $("q_returns").innerHTML = returnsSummaryHtml(market, symbol, account);
+    }
+  });
 
 }
 
 function refreshHoldings(){
   ledger = loadLedger();
+  try{ renderAccountOptions(); }catch(_){ }
   renderHoldings();
+  try{ renderFxTable(); }catch(_){ }
+  try{ if(!$("tab-trades").hidden) renderTradeList(); }catch(_){ }
+  try{ refreshWatchlist(); }catch(_){ }
+  try{
+    renderTaxReportYears();
+    if($("tax_report_card").open) renderTaxReport();
+  }catch(_){ }
   try{ updateHeaderStatus(); }catch(_){ }
 }
+const TERM_LABELS = {short:"短期", long:"長期", "":""};
+let lastRealizedReport = null;
+
+function renderTaxReportYears(){
+  const sel = $("tr_year");
+  const cur = sel.value;
+  const years = realizedReportYears(ledger);
+  sel.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join("");
+  sel.value = years.includes(cur) ? cur : years[0];
+}
+
+function realizedReportTableHtml(rep){
+  if(rep.markets.length===0) return `<p class="hint">${escapeHtml(rep.year)} 年沒有賣出紀錄。</p>`;
+  const multi = getAccounts(ledger).length>1;
+  const money = (n)=> fmtNum(n, 2);
+  const totalRow = (label, t, span)=> `<tr><th colspan="${span.cols}">${escapeHtml(label)}</th><th>${fmtNum(t.qty, 4).replace(/\.?0+$/,"")}</th><th>${money(t.proceeds)}</th><th>${money(t.basis)}</th><th>${money(t.fees)}</th>${span.us ? `<th>${money(t.washAdj)}</th>` : ""}<th>${money(t.gain)}</th></tr>`;
+  return rep.markets.map(m=>{
+    const us = m.market==="US";
+    const span = {cols: 3 + (multi ? 1 : 0) + (us ? 1 : 0), us};
+    const head = `<tr><th>賣出日</th><th>代號</th>${multi ? "<th>帳戶</th>" : ""}<th>買入日</th>${us ? "<th>期間</th>" : ""}`
+      + `<th>數量</th><th>賣出金額</th><th>成本</th><th>賣出費用</th>${us ? "<th>洗售不認列</th>" : ""}<th>損益</th></tr>`;
+    const body = m.rows.map(x => `<tr>
+      <td>${escapeHtml(x.sold)}</td><td>${escapeHtml(x.symbol)}</td>${multi ? `<td>${escapeHtml(accountName(ledger, x.account))}</td>` : ""}
+      <td>${x.acquired.map(escapeHtml).join("<br>")}</td>${us ? `<td>${TERM_LABELS[x.term]}</td>` : ""}
+      <td>${fmtNum(x.qty, 4).replace(/\.?0+$/,"")}</td><td>${money(x.proceeds)}</td><td>${money(x.basis)}</td><td>${money(x.fees)}</td>
+      ${us ? `<td>${x.washAdj ? `${money(x.washAdj)} <span class="pill sell">W</span>` : ""}</td>` : ""}
+      <td style="color:${x.gain>=0 ? "var(--green)" : "var(--red)"};">${money(x.gain)}</td></tr>`).join("");
+    const foot = (m.terms ? totalRow("短期合計", m.terms.short, span) + totalRow("長期合計", m.terms.long, span) : "") + totalRow("合計", m.total, span);
+    return `<h3 style="font-size:15px; margin:14px 0 6px;">${m.market==="TW" ? "台股" : "美股"}（${m.currency}）</h3>
+      <table><thead>${head}</thead><tbody>${body}</tbody><tfoot>${foot}</tfoot></table>`;
+  }).join("");
+}
+
+function renderTaxReport(){
+  const year = $("tr_year").value;
+  lastRealizedReport = buildRealizedReport(ledger, year);
+  $("tax_report").innerHTML = realizedReportTableHtml(lastRealizedReport);
+}
+
+function buildRealizedReportCsv(rep){
+  const header = ["year","market","currency","symbol","account","sold","acquired","term","qty","proceeds","costBasis","fees","washSaleAdj","gain"];
+  const lines = [];
+  for(const m of rep.markets){
+    for(const x of m.rows){
+      lines.push([rep.year, m.market, m.currency, x.symbol, accountName(ledger, x.account), x.sold, x.acquired.join(" "), x.term,
+        x.qty, x.proceeds.toFixed(2), x.basis.toFixed(2), x.fees.toFixed(2), x.washAdj ? x.washAdj.toFixed(2) : "", x.gain.toFixed(2)].map(csvEscape).join(","));
+    }
+  }
+  return [header.join(","), ...lines].join("\n");
+}
+
+function exportTaxReportCsv(){
+  renderTaxReport();
+  if(lastRealizedReport.markets.length===0){ alert("這一年沒有賣出紀錄"); return; }
+  downloadText(`stockledger_realized_${lastRealizedReport.year}.csv`, "\uFEFF" + buildRealizedReportCsv(lastRealizedReport), "text/csv;charset=utf-8");
+}
+
+// standalone page (opens the print dialog); falls back to downloading it when popups are blocked
+function printTaxReport(){
+  renderTaxReport();
+  const rep = lastRealizedReport;
+  const html = `<!doctype html><html lang="zh-Hant"><head><meta charset="utf-8">
+<title>${escapeHtml(rep.year)} 年度已實現損益</title>
+<style>
+  body{ font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Noto Sans TC",sans-serif; margin:24px; color:#111; }
+  table{ width:100%; border-collapse:collapse; font-size:12px; margin-bottom:12px; }
+  th,td{ padding:6px; border-bottom:1px solid #ddd; text-align:left; vertical-align:top; }
+  tfoot th{ border-top:2px solid #999; }
+  .hint{ color:#666; font-size:12px; }
+  @page{ size:A4; margin:14mm; }
+</style></head><body onload="window.print()">
+<h2>${escapeHtml(rep.year)} 年度已實現損益</h2>
+<p class="hint">成本計算：台股 ${COST_METHODS[getCostMethod(ledger,"TW")]}、美股 ${COST_METHODS[getCostMethod(ledger,"US")]}。成本含買入手續費；賣出費用含手續費與稅費；美股洗售不認列的虧損已加回損益並轉入替代批次成本。產生時間 ${escapeHtml(nowTS())}</p>
+${realizedReportTableHtml(rep)}
+</body></html>`;
+  const url = URL.createObjectURL(new Blob([html], {type:"text/html"}));
+  const w = window.open(url, "_blank");
+  if(!w) downloadText(`stockledger_realized_${rep.year}.html`, html, "text/html");
+  setTimeout(()=>URL.revokeObjectURL(url), 60000);
+}
+
+
 
+function syncAddFormForSide(){
+  const side = $("f_side").value;
+  $("f_trade_fields").hidden = !isTradeType(side);
+  $("f_div_fields").hidden = side!=="DIVIDEND";
+  $("f_action_fields").hidden = side!=="ACTION";
+  // corporate actions apply to every account
+  $("f_account_box").hidden = side==="ACTION";
+
+  const act = $("f_act_type").value;
+  $("f_act_split").hidden = act!=="SPLIT";
+  $("f_act_per1000_box").hidden = act==="SPLIT";
+  $("f_act_per1000_label").textContent = act==="CAPRED" ? "每千股消除股數（可空白）" : "每千股配發股數";
+  $("f_act_cash_box").hidden = act!=="CAPRED";
+
+  // fee breakdown follows the market: TW 證交稅 / 當沖, US SEC fee / TAF
+  const isUS = normalizeMarket($("f_market").value)==="US";
+  $("f_tax_box").hidden = isUS;
+  $("f_daytrade_box").hidden = isUS;
+  $("f_us_reg_fields").hidden = !isUS;
+}
 
+$("f_side").addEventListener("change", syncAddFormForSide);
+$("f_market").addEventListener("change", ()=>{ syncAddFormForSide(); renderFeeProfileOptions(); autoFillAddFormFees(); });
+for(const [inputId, marketId, hintId] of SYMBOL_INPUTS){
+  $(inputId).addEventListener("input", ()=> syncSymbolInput(inputId, marketId, hintId));
+  $(marketId).addEventListener("change", ()=> syncSymbolInput(inputId, marketId, hintId));
+}
+for(const id of ["f_side","f_symbol","f_qty","f_price","f_daytrade","f_fee_auto"]){
+  $(id).addEventListener("input", autoFillAddFormFees);
+  $(id).addEventListener("change", autoFillAddFormFees);
+}
+$("f_fee_profile").addEventListener("change", ()=>{
+  setDefaultFeeProfile(normalizeMarket($("f_market").value), $("f_fee_profile").value);
+  autoFillAddFormFees();
+});
+// typing a fee by hand turns auto-calculation off
+for(const id of ["f_fee","f_tax","f_sec_fee","f_taf"]){
+  $(id).addEventListener("input", ()=>{ $("f_fee_auto").checked = false; });
+}
+$("fp_select").addEventListener("change", ()=> renderFeeSettings($("fp_select").value));
+$("fp_market").addEventListener("change", syncFeeSettingsFields);
+$("btn_fp_save").addEventListener("click", saveFeeProfileFromSettings);
+$("btn_fp_new").addEventListener("click", addFeeProfileFromSettings);
+$("btn_fp_delete").addEventListener("click", deleteFeeProfileFromSettings);
+$("acct_select").addEventListener("change", ()=>{ $("acct_name").value = accountName(ledger, $("acct_select").value); });
+$("btn_acct_save").addEventListener("click", saveAccountFromSettings);
+$("btn_acct_new").addEventListener("click", addAccountFromSettings);
+$("btn_acct_delete").addEventListener("click", deleteAccountFromSettings);
+$("q_account").addEventListener("change", ()=>{
+  if(lastQueryMarket && lastQuerySymbol) renderQuery(lastQueryMarket, lastQuerySymbol);
+});
+$("h_account").addEventListener("change", renderHoldings);
+$("f_act_type").addEventListener("change", syncAddFormForSide);
 $("btn_seed").addEventListener("click", seedExample);
 $("btn_add").addEventListener("click", addTrade);
 $("btn_refresh_holdings").addEventListener("click", refreshHoldings);
+$("h_base_currency").addEventListener("change", (e)=>{
+  if(!ledgerWritable()){ e.target.value = getBaseCurrency(ledger); return; }
+  ledger.settings = ledger.settings || {};
+  ledger.settings.baseCurrency = CURRENCIES.includes(e.target.value) ? e.target.value : "TWD";
+  saveLedger(ledger);
+  renderHoldings();
+});
+$("alloc_group").addEventListener("change", renderHoldings);
+$("alloc_basis").addEventListener("change", renderHoldings);
+$("tl_market").addEventListener("change", renderTimeline);
+$("tl_account").addEventListener("change", renderTimeline);
+$("btn_timeline_a4").addEventListener("click", ()=>{
+  exportTimelineA4Png().catch(e => alert("匯出失敗：" + (e?.message || e)));
+});
+$("alloc_limit").addEventListener("change", (e)=>{
+  if(!ledgerWritable()) return;
+  const s = String(e.target.value||"").trim();
+  const n = toNumber(s, NaN);
+  if(s!=="" && !(n>0 && n<=100)){ alert("警示比例需介於 0～100"); return; }
+  ledger.settings = ledger.settings || {};
+  if(s==="") delete ledger.settings.concentrationLimit;
+  else ledger.settings.concentrationLimit = n;
+  saveLedger(ledger);
+  renderHoldings();
+});
+$("btn_fx_add").addEventListener("click", addFxRateFromForm);
+$("holdings_table").addEventListener("change", (e)=>{
+  const inp = e.target.closest("input[data-price-key]");
+  if(!inp) return;
+  if(!ledgerWritable()) return;
+  const [market, symbol] = String(inp.dataset.priceKey).split("|");
+  const s = String(inp.value||"").trim();
+  const price = s==="" ? 0 : toNumber(s, NaN);
+  if(!Number.isFinite(price) || price<0){ alert("現價需為正數（清空＝刪除）"); return; }
+  setLatestPrice(ledger, market, symbol, price);
+  saveLedger(ledger);
+  renderHoldings();
+  refreshWatchlist();
+});
+$("fx_table").addEventListener("click", (e)=>{
+  const btn = e.target.closest("button[data-fx-del]");
+  if(!btn) return;
+  if(!ledgerWritable()) return;
+  const date = btn.getAttribute("data-fx-del");
+  if(!confirm(`確定要刪除 ${date} 的匯率？`)) return;
+  ledger.fxRates = (ledger.fxRates||[]).filter(x => x && x.date!==date);
+  saveLedger(ledger);
+  renderFxTable();
+  renderHoldings();
+});
+$("file_symbols_csv").addEventListener("change", async (e)=>{
+  const f = e.target.files?.[0];
+  if(!f) return;
+  try{
+    const result = await importSymbolMasterCsv(await f.text());
+    alert(result.message);
+    renderSymbolDatalists();
+    syncSymbolInputs();
+    renderHoldings();
+  }catch(err){
+    alert("匯入代號表失敗：" + (err?.message||err));
+  }finally{
+    e.target.value = "";
+  }
+});
+$("btn_symbols_reset").addEventListener("click", async ()=>{
+  if(!confirm("確定要刪除匯入的代號表，還原成內建代號表？")) return;
+  try{ await resetSymbolMaster(); }catch(_){ }
+  renderSymbolDatalists();
+  syncSymbolInputs();
+  renderHoldings();
+});
+$("file_fx_csv").addEventListener("change", async (e)=>{
+  const f = e.target.files?.[0];
+  if(!f) return;
+  if(!ledgerWritable()) return;
+  try{
+    const result = importFxCsvIntoLedger(await f.text());
+    alert(result.message);
+    renderFxTable();
+    renderHoldings();
+  }catch(err){
+    alert("匯入匯率失敗：" + (err?.message||err));
+  }finally{
+    e.target.value = "";
+  }
+});
+$("tax_report_card").addEventListener("toggle", ()=>{ if($("tax_report_card").open){ renderTaxReportYears(); renderTaxReport(); } });
+$("tr_year").addEventListener("change", renderTaxReport);
+$("btn_tax_report_csv").addEventListener("click", exportTaxReportCsv);
+$("btn_tax_report_print").addEventListener("click", printTaxReport);
+$("cm_TW").addEventListener("change", (e)=> setCostMethod("TW", e.target.value));
+$("cm_US").addEventListener("change", (e)=> setCostMethod("US", e.target.value));
 
 $("btn_query").addEventListener("click", ()=>{
   const market = normalizeMarket($("q_market").value);
@@ -1330,6 +5263,32 @@ $("btn_query").addEventListener("click", ()=>{
   renderQuery(market, symbol);
 });
 
+$("file_price_hist").addEventListener("change", async (e)=>{
+  const f = e.target.files?.[0];
+  if(!f) return;
+  try{
+    const result = await importPriceHistoryCsv(await f.text(), lastQueryMarket, lastQuerySymbol);
+    alert(result.message);
+    if(lastQueryLog && result.symbols.includes(keyOf(lastQueryMarket, lastQuerySymbol))) drawChartForQuery(lastQueryLog);
+    refreshWatchlist();
+  }catch(err){
+    alert("匯入歷史股價失敗：" + (err?.message||err));
+  }finally{
+    e.target.value = "";
+  }
+});
+$("btn_clear_price_hist").addEventListener("click", async ()=>{
+  if(!lastQueryMarket || !lastQuerySymbol){ alert("請先查詢股票"); return; }
+  if(getCachedPriceHistory(lastQueryMarket, lastQuerySymbol).length===0){ alert("這支股票沒有歷史股價"); return; }
+  if(!confirm(`確定要清除 ${lastQueryMarket} ${lastQuerySymbol} 的歷史股價？`)) return;
+  try{
+    await clearPriceHistory(lastQueryMarket, lastQuerySymbol);
+    if(lastQueryLog) drawChartForQuery(lastQueryLog);
+  }catch(err){
+    alert("清除失敗：" + (err?.message||err));
+  }
+});
+
 $("btn_export_csv").addEventListener("click", ()=>{
   if(!lastQueryLog){ alert("請先查詢"); return; }
   const csv = buildCsvForOne(lastQueryLog);
@@ -1337,6 +5296,15 @@ $("btn_export_csv").addEventListener("click", ()=>{
   downloadText(name, csv, "text/csv;charset=utf-8");
 });
 
+$("btn_export_ledger_csv").addEventListener("click", ()=>{
+  const filters = {market: $("x_market").value, symbol: $("x_symbol").value, from: $("x_from").value, to: $("x_to").value};
+  if(filters.from && filters.to && filters.from>filters.to){ alert("起日不能晚於迄日"); return; }
+  const {count, csv} = buildLedgerCsv(ledger, filters);
+  if(count===0){ alert("沒有符合條件的紀錄"); return; }
+  const name = `stockledger_${nowTS().replace(/[: ]/g,"-")}.csv`;
+  downloadText(name, "\uFEFF" + csv, "text/csv;charset=utf-8");
+});
+
 $("btn_export_json").addEventListener("click", ()=>{
   const led = loadLedger();
   const name = backupFileNameForNow();
@@ -1348,16 +5316,79 @@ $("btn_export_json").addEventListener("click", ()=>{
   try{ renderBackupInfo(); }catch(_){}
 });
 
+$("btn_export_encrypted").addEventListener("click", async ()=>{
+  try{
+    const pass = await askPassphrase("設定備份密碼（至少 8 個字元）。忘記密碼就無法還原這份備份。", true);
+    if(pass===null) return;
+    const envelope = await encryptBackup(JSON.stringify(loadLedger()), pass);
+    downloadText(backupFileNameForNow().replace(/\.json$/, ".enc.json"), JSON.stringify(envelope), "application/json");
+    try{ localStorage.setItem(LAST_BACKUP_KEY, String(Date.now())); }catch(_){}
+    try{ updateHeaderStatus(); }catch(_){}
+  }catch(err){
+    alert("加密備份失敗：" + (err?.message||err));
+  }
+});
+
+$("pass_form").addEventListener("submit", (e)=>{
+  if(e.submitter?.value==="cancel") return;
+  const p1 = $("pass_input").value;
+  if($("pass_dialog").dataset.confirm==="1"){
+    if(p1.length<8){ e.preventDefault(); alert("密碼至少需要 8 個字元"); return; }
+    if(p1!==$("pass_input2").value){ e.preventDefault(); alert("兩次輸入的密碼不一致"); return; }
+  }else if(!p1){
+    e.preventDefault();
+  }
+});
+
 $("file_import").addEventListener("change", async (e)=>{
   const f = e.target.files?.[0];
   if(!f) return;
+  if(!ledgerWritable()) return;
   try{
-    const txt = await f.text();
-    const obj = JSON.parse(txt);
-    if(!obj || !Array.isArray(obj.lots)) throw new Error("格式不正確");
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({version:1, lots: obj.lots}));
-    ledger = loadLedger();
-    alert("匯入完成");
+    let txt = await f.text();
+    let parsed = JSON.parse(txt);
+    if(isEncryptedBackup(parsed)){
+      const pass = await askPassphrase("這是加密備份，請輸入備份密碼");
+      if(pass===null) return;
+      txt = await decryptBackup(parsed, pass);
+      parsed = JSON.parse(txt);
+    }
+    if(!parsed || !Array.isArray(parsed.lots)) throw new Error("格式不正確");
+    const mig = migrateLedger(parsed);
+    if(mig.from!==mig.to) saveMigrationSnapshot(txt, mig.from, "import");
+    const obj = mig.ledger;
+    const cur = loadLedger();
+
+    if(($("import_mode")?.value || "merge")==="replace"){
+      if(cur.lots.length>0 && !confirm(`取代模式：本機 ${cur.lots.length} 筆紀錄會被檔案中的 ${obj.lots.length} 筆取代，帳戶、費率、匯率與現價也以檔案為準。\n\n確定要匯入？`)) return;
+      ledger = obj;
+      saveLedger(ledger);
+      logChange("import", "匯入 JSON（取代）", diffLots(cur.lots, ledger.lots));
+      alert("匯入完成（已取代本機資料）");
+      refreshHoldings();
+      return;
+    }
+
+    const plan = planJsonMerge(cur, obj);
+    if(!confirm(`合併預覽\n\n${describeMergePlan(plan, obj.lots.length)}\n\n確定要合併？`)) return;
+    let overwrite = false;
+    if(plan.conflicts.length>0){
+      overwrite = confirm(`有 ${plan.conflicts.length} 筆衝突：\n按「確定」以檔案的版本覆蓋，按「取消」保留本機的版本。`);
+    }
+    const next = applyJsonMerge(cur, obj, plan, overwrite);
+    // validate before anything is written: an invalid merge leaves the device untouched
+    const invalid = findNegativeHoldings(next);
+    if(invalid){
+      alert(`合併後資料不合法，已取消匯入（本機資料未變更）。\n\n${invalid}`);
+      return;
+    }
+    ledger = next;
+    saveLedger(ledger);
+    logChange("import", "匯入 JSON（合併）", diffLots(cur.lots, ledger.lots));
+    const changed = overwrite ? plan.conflicts.length : 0;
+    alert(`合併完成：新增 ${plan.added.length} 筆` +
+          (changed ? `，覆蓋 ${changed} 筆` : "") +
+          (plan.duplicates ? `（略過重複 ${plan.duplicates} 筆）` : ""));
     refreshHoldings();
   }catch(err){
     alert("匯入失敗：" + (err?.message||err));
@@ -1366,8 +5397,94 @@ $("file_import").addEventListener("change", async (e)=>{
   }
 });
 
+// ---------------- History view ----------------
+function describeRecordChange(c){
+  if(!c.before) return `＋ ${recordLabel(c.after)}`;
+  if(!c.after) return `－ ${recordLabel(c.before)}`;
+  const keys = Array.from(new Set([...Object.keys(c.before), ...Object.keys(c.after)]))
+    .filter(k => canonicalJson(c.before[k])!==canonicalJson(c.after[k]));
+  const fmt = (v)=> v===undefined ? "—" : (typeof v==="object" ? JSON.stringify(v) : String(v));
+  return `✎ ${recordLabel(c.after)}：` + keys.map(k => `${k} ${fmt(c.before[k])} → ${fmt(c.after[k])}`).join("，");
+}
+
+async function renderHistory(){
+  const box = $("history_list");
+  if(!box || !$("history_card")?.open) return;
+  let entries;
+  try{ entries = await loadChangeLog(); }
+  catch(_){ box.innerHTML = `<div class="hint">無法讀取變更紀錄（IndexedDB 不可用）</div>`; return; }
+  const state = changeLogState(entries);
+  const recent = entries.slice(-100).reverse();
+  if(recent.length===0){ box.innerHTML = `<div class="hint">尚無變更紀錄</div>`; return; }
+  box.innerHTML = `<table><thead><tr><th>時間</th><th>操作</th><th></th></tr></thead><tbody>${recent.map(e => {
+    const st = state.get(e.seq);
+    const lines = e.changes.slice(0,20).map(c => `<div>${escapeHtml(describeRecordChange(c))}</div>`).join("") +
+      (e.changes.length>20 ? `<div>…另 ${e.changes.length-20} 筆</div>` : "");
+    const btn = st==="active"
+      ? `<button type="button" class="btn secondary" data-undo="${e.seq}" style="padding:6px 10px;font-size:12px;">復原</button>`
+      : (st==="undone" ? `<button type="button" class="btn secondary" data-redo="${e.seq}" style="padding:6px 10px;font-size:12px;">重做</button>` : "");
+    return `<tr>
+      <td>${escapeHtml(String(e.at||"").slice(0,16))}</td>
+      <td><details><summary>${escapeHtml(e.label)}（${e.changes.length} 筆）</summary><div class="hint">${lines}</div></details>${st==="undone" ? `<div class="hint">已復原</div>` : ""}</td>
+      <td>${btn}</td>
+    </tr>`;
+  }).join("")}</tbody></table>`;
+}
+
+async function undoRedoChange(seq, direction){
+  if(!ledgerWritable()) return;
+  try{
+    const entries = await loadChangeLog();
+    const e = entries.find(x => x.seq===seq);
+    if(!e){ alert("找不到這筆變更紀錄"); return; }
+    const st = changeLogState(entries).get(seq);
+    if((direction==="undo" && st!=="active") || (direction==="redo" && st!=="undone")){ renderHistory(); return; }
+
+    const verb = CHANGE_OPS[direction];
+    const res = applyLotChanges(loadLedger(), e.changes, direction);
+    const ask = res.drift>0
+      ? `有 ${res.drift} 筆紀錄在這次操作之後又被修改過，${verb}會以當時的內容覆蓋。\n確定要${verb}「${e.label}」？`
+      : `確定要${verb}「${e.label}」？（${e.changes.length} 筆）`;
+    if(!confirm(ask)) return;
+    const invalid = findNegativeHoldings(res.ledger);
+    if(invalid){ alert(`${verb}後資料不合法，已取消。\n\n${invalid}`); return; }
+
+    ledger = res.ledger;
+    saveLedger(ledger);
+    await logChange(direction, `${verb}：${e.label}`, res.applied, direction==="undo" ? {undoOf: seq} : {redoOf: seq});
+    if(lastQueryMarket && lastQuerySymbol) renderQuery(lastQueryMarket, lastQuerySymbol);
+    refreshHoldings();
+    renderHistory();
+  }catch(err){
+    alert(`${CHANGE_OPS[direction]}失敗：` + (err?.message||err));
+  }
+}
+
+$("history_card").addEventListener("toggle", renderHistory);
+$("history_list").addEventListener("click", (e)=>{
+  const u = e.target.closest("button[data-undo]");
+  if(u){ undoRedoChange(Number(u.dataset.undo), "undo"); return; }
+  const r = e.target.closest("button[data-redo]");
+  if(r) undoRedoChange(Number(r.dataset.redo), "redo");
+});
+
+$("btn_download_snapshot").addEventListener("click", async ()=>{
+  try{
+    const keys = (await idbKeys(IDB_SNAPSHOT_STORE)).map(String).sort();
+    if(keys.length===0){ alert("沒有遷移前快照"); return; }
+    const key = keys[keys.length-1];
+    const raw = await idbGet(key, IDB_SNAPSHOT_STORE);
+    const [at, source, from] = key.split("|");
+    downloadText(`stockledger_premigration_${from}_${at.replace(/\D/g,"")}.json`, String(raw||""), "application/json");
+    alert(`已下載 ${at} 的快照（${source}，資料版本 ${from.replace(/^v/,"")}）。\n可用「匯入 JSON」的取代模式還原。`);
+  }catch(err){
+    alert("下載快照失敗：" + (err?.message||err));
+  }
+});
+
 $("btn_reset").addEventListener("click", ()=>{
-  if(confirm("確定要清空全部資料嗎？這個動作無法復原。")){
+  if(confirm("確定要清空全部資料嗎？\n（交易紀錄之後可在「變更紀錄」復原，設定與匯率不會保留）")){
+    logChange("delete", "清空全部資料", diffLots(ledger.lots, []));
     localStorage.removeItem(STORAGE_KEY);
     try{ localStorage.removeItem(LAST_BACKUP_KEY); }catch(_){ }
     ledger = loadLedger();
@@ -1404,15 +5521,33 @@ function showTradeDetails(id){
   const ui = getOrCreateTradeEditor();
 
   // fill
-  ui.meta.textContent = `${r.market||""} ${r.symbol||""}｜${r.type==="BUY"?"買進":"賣出"}`;
+  const isDiv = r.type==="DIVIDEND";
+  const isAction = r.type==="ACTION";
+  ui.meta.textContent = `${r.market||""} ${r.symbol||""}｜${isAction ? corporateActionLabel(r) : sideLabel(r.type, true)}`;
+  ui.setMode(isDiv ? "dividend" : (isAction ? "action:" + r.action : "trade"), r.market);
+  ui.setAccounts(getAccounts(ledger), accountOf(r));
   const ts = String(r.timestamp||"");
   ui.date.value = ts.slice(0,10);
   ui.time.value = ts.length>=16 ? ts.slice(11,16) : "";
   ui.qty.value  = r.qty ?? "";
-  ui.price.value= r.price ?? "";
+  ui.price.value= isDiv ? (r.perShare ?? "") : (r.price ?? "");
   ui.fee.value  = (r.fee ?? 0);
-
-  ui.hint.textContent = "提示：修改後會重新依時間排序計算；若造成某筆賣出超過當時庫存，將禁止儲存。";
+  ui.amount.value = isDiv ? (r.amount ?? "") : "";
+  ui.tax.value  = (r.tax ?? 0);
+  ui.secFee.value = (r.secFee ?? 0);
+  ui.taf.value = (r.taf ?? 0);
+  ui.actRatio.value = isAction ? (r.ratio ?? "") : "";
+  ui.actPer1000.value = isAction ? (r.action==="CAPRED" ? (r.cancelPer1000 ?? "") : (r.per1000 ?? "")) : "";
+  ui.actCash.value = isAction ? (r.cashPerShare ?? "") : "";
+
+  ui.hint.textContent = isDiv
+    ? "提示：股利總額優先；若修改每股股利或股數，請清空總額讓它重新計算（每股 × 股數）。"
+    : "提示：修改後會重新依時間排序計算；若造成某筆賣出超過當時庫存，將禁止儲存。";
+  if(isAction) ui.hint.textContent = "提示：公司行動會調整之後所有交易的庫存與平均成本；若造成某筆賣出超過當時庫存，將禁止儲存。";
+
+  // specific-lot picker (SELL + 指定批次)
+  const pickLots = r.type==="SELL" && getCostMethod(ledger, r.market)==="SPECIFIC";
+  ui.setLots(pickLots ? openLotsBeforeRecord(ledger, r.market, r.symbol, tid) : null, r.closes);
   ui.open();
 
   // wire one-shot handlers
@@ -1423,19 +5558,115 @@ function showTradeDetails(id){
     deleteTradeById(tid);
   };
 
+  ui.onRecalcFee = ()=>{
+    const res = calcTradeFees(ledger, {
+      market: r.market, side: r.type, symbol: r.symbol, dayTrade: !!r.dayTrade,
+      qty: toNumber(ui.qty.value, NaN), price: toNumber(ui.price.value, NaN)
+    });
+    if(!res){ alert("這個市場沒有可用的費率設定"); return; }
+    ui.fee.value = String(res.fee);
+    ui.tax.value = String(res.tax);
+    ui.secFee.value = String(res.secFee ?? 0);
+    ui.taf.value = String(res.taf ?? 0);
+  };
+
   ui.onSave = ()=>{
+    if(!ledgerWritable()) return;
     // read inputs
     const nextDate = String(ui.date.value||"").trim();
     const nextTime = String(ui.time.value||"").trim();
     const nextTs = parseTimestamp(nextDate, nextTime);
+
+    if(isDiv){
+      if(!nextTs){ alert("日期/時間格式不正確"); return; }
+      const nextLedger = loadLedger();
+      const j = nextLedger.lots.findIndex(x => x && String(x.id)===tid);
+      if(j<0){ alert("儲存失敗：此筆交易已不存在"); return; }
+      const rr = nextLedger.lots[j];
+      const res = buildDividendRecord(nextLedger, {
+        ts: nextTs, market: rr.market, symbol: rr.symbol, account: ui.account.value,
+        qtyRaw: ui.qty.value, perShareRaw: ui.price.value, amountRaw: ui.amount.value, taxRaw: ui.tax.value
+      });
+      if(res.error){ alert(res.error); return; }
+      rr.timestamp = nextTs;
+      rr.account = res.rec.account;
+      rr.qty = res.rec.qty;
+      rr.perShare = res.rec.perShare;
+      rr.amount = res.rec.amount;
+      rr.tax = res.rec.tax;
+
+      ledger = nextLedger;
+      saveLedger(ledger);
+      logChange("edit", `修改 ${recordLabel(rr)}`, [{id: tid, before: cloneRec(r), after: cloneRec(rr)}]);
+      ui.close();
+      if(lastQueryMarket===rr.market && lastQuerySymbol===rr.symbol){
+        renderQuery(rr.market, rr.symbol);
+      }
+      refreshHoldings();
+      try{ updateHeaderStatus(); }catch(_){}
+      alert("已更新這筆股利");
+      return;
+    }
+
+    if(isAction){
+      if(!nextTs){ alert("日期/時間格式不正確"); return; }
+      const nextLedger = loadLedger();
+      const j = nextLedger.lots.findIndex(x => x && String(x.id)===tid);
+      if(j<0){ alert("儲存失敗：此筆交易已不存在"); return; }
+      const rr = nextLedger.lots[j];
+      const res = buildCorporateActionRecord(nextLedger, {
+        ts: nextTs, market: rr.market, symbol: rr.symbol, action: rr.action,
+        fromRaw: 1, toRaw: ui.actRatio.value, per1000Raw: ui.actPer1000.value, cashRaw: ui.actCash.value
+      });
+      if(res.error){ alert(res.error); return; }
+      const {id:_id, ...fields} = res.rec;
+      Object.assign(rr, fields);
+
+      const v = validateNoOversell(nextLedger, rr.market, rr.symbol);
+      if(!v.ok){ alert(v.msg || "修改後會造成庫存不合法（賣出超過當時庫存）。"); return; }
+
+      ledger = nextLedger;
+      saveLedger(ledger);
+      logChange("edit", `修改 ${recordLabel(rr)}`, [{id: tid, before: cloneRec(r), after: cloneRec(rr)}]);
+      ui.close();
+      if(lastQueryMarket===rr.market && lastQuerySymbol===rr.symbol){
+        renderQuery(rr.market, rr.symbol);
+      }
+      refreshHoldings();
+      try{ updateHeaderStatus(); }catch(_){}
+      alert("已更新這筆公司行動");
+      return;
+    }
+
     const nextQty = toNumber(ui.qty.value, NaN);
     const nextPrice = toNumber(ui.price.value, NaN);
     const nextFee = String(ui.fee.value||"").trim()==="" ? 0 : toNumber(ui.fee.value, NaN);
+    const nextTax = String(ui.tax.value||"").trim()==="" ? 0 : toNumber(ui.tax.value, NaN);
+    const nextSecFee = String(ui.secFee.value||"").trim()==="" ? 0 : toNumber(ui.secFee.value, NaN);
+    const nextTaf = String(ui.taf.value||"").trim()==="" ? 0 : toNumber(ui.taf.value, NaN);
 
     if(!nextTs){ alert("日期/時間格式不正確"); return; }
     if(!Number.isFinite(nextQty) || nextQty<=0){ alert("數量需為正數"); return; }
     if(!Number.isFinite(nextPrice) || nextPrice<=0){ alert("價格需為正數"); return; }
     if(Number.isNaN(nextFee) || nextFee<0){ alert("手續費需為 0 或正數"); return; }
+    if(Number.isNaN(nextTax) || nextTax<0){ alert("交易稅需為 0 或正數"); return; }
+    if(Number.isNaN(nextSecFee) || nextSecFee<0 || Number.isNaN(nextTaf) || nextTaf<0){ alert("SEC 規費／TAF 需為 0 或正數"); return; }
+
+    let nextCloses = null;
+    if(pickLots){
+      nextCloses = [];
+      for(const inp of ui.lots.querySelectorAll("input[data-lot]")){
+        const s = String(inp.value||"").trim();
+        if(!s) continue;
+        const n = toNumber(s, NaN);
+        const avail = toNumber(inp.dataset.avail, 0);
+        if(!Number.isFinite(n) || n<0){ alert("指定批次的股數需為 0 或正數"); return; }
+        if(n > avail + 1e-9){ alert(`指定批次的股數超過該批剩餘 ${fmtInt(avail)} 股`); return; }
+        if(n>0) nextCloses.push({lot: inp.dataset.lot, qty: n});
+      }
+      const picked = nextCloses.reduce((s,c)=>s + c.qty, 0);
+      if(picked > nextQty + 1e-9){ alert(`指定批次合計 ${fmtInt(picked)} 股，超過賣出數量 ${fmtInt(nextQty)} 股`); return; }
+    }
 
     // apply to a clone first for validation
     const nextLedger = loadLedger(); // reload latest to avoid stale edits
@@ -1447,6 +5678,20 @@ function showTradeDetails(id){
     rr.qty = nextQty;
     rr.price = nextPrice;
     rr.fee = nextFee;
+    if(rr.market==="US"){
+      rr.secFee = nextSecFee;
+      rr.taf = nextTaf;
+    }else{
+      rr.tax = nextTax;
+    }
+    if(nextCloses){
+      if(nextCloses.length>0) rr.closes = nextCloses;
+      else delete rr.closes;
+    }
+    // picked lots belong to the old account
+    const nextAccount = ui.account.value || DEFAULT_ACCOUNT;
+    if(nextAccount!==accountOf(rr)) delete rr.closes;
+    rr.account = nextAccount;
     nextLedger.lots[j] = rr;
 
     // validate: no sell beyond holdings for this key after resort
@@ -1461,6 +5706,7 @@ function showTradeDetails(id){
     // commit
     ledger = nextLedger;
     saveLedger(ledger);
+    logChange("edit", `修改 ${recordLabel(rr)}`, [{id: tid, before: cloneRec(r), after: cloneRec(rr)}]);
 
     ui.close();
 
@@ -1483,22 +5729,24 @@ function validateNoOversell(ledger, market, symbol){
     .slice()
     .sort((a,b)=> String(a.timestamp).localeCompare(String(b.timestamp)));
 
-  let holdingQty = 0;
+  // holdings are per account; ACTION records adjust every account
+  const qtyMap = new Map();
+  const multi = getAccounts(ledger).length>1;
   for(const r of rows){
     const side = r.type;
+    if(side==="ACTION"){ applyRecordToQtyMap(qtyMap, r); continue; }
+    if(!isTradeType(side)) continue;
     const q = toNumber(r.qty, NaN);
     if(!Number.isFinite(q) || q<=0){
       return {ok:false, msg:`發現不合法的數量：${String(r.timestamp||"").slice(0,16)}`};
     }
-    if(side==="BUY"){
-      holdingQty += q;
-    }else if(side==="SELL"){
-      if(q > holdingQty + 1e-9){
-        const ts = String(r.timestamp||"").slice(0,16);
-        return {ok:false, msg:`修改後會造成賣出超過當時庫存。\n時間：${ts}\n要賣：${fmtInt(q)}\n當時庫存：${fmtInt(holdingQty)}\n\n請調整日期/時間/數量，或先補上更早的買入。`};
-      }
-      holdingQty -= q;
+    const holdingQty = qtyMap.get(`${accountOf(r)}|${keyOf(market, symbol)}`) ?? 0;
+    if(side==="SELL" && q > holdingQty + 1e-9){
+      const ts = String(r.timestamp||"").slice(0,16);
+      const acct = multi ? `\n帳戶：${accountName(ledger, accountOf(r))}` : "";
+      return {ok:false, msg:`修改後會造成賣出超過當時庫存。\n時間：${ts}${acct}\n要賣：${fmtInt(q)}\n當時庫存：${fmtInt(holdingQty)}\n\n請調整日期/時間/數量，或先補上更早的買入。`};
     }
+    applyRecordToQtyMap(qtyMap, r);
   }
   return {ok:true};
 }
@@ -1542,6 +5790,10 @@ function getOrCreateTradeEditor(){
       </div>
       <div class="sl-meta" id="sl_meta"></div>
       <div class="sl-body">
+        <div class="sl-field" id="sl_account_field">
+          <label>帳戶</label>
+          <select id="sl_account" class="sl-input"></select>
+        </div>
         <div class="sl-field">
           <label>日期</label>
           <div class="ios-wrap"><input id="sl_date" type="date" class="ios-native"></div>
@@ -1551,16 +5803,53 @@ function getOrCreateTradeEditor(){
           <div class="ios-wrap"><input id="sl_time" type="time" class="ios-native"></div>
         </div>
         <div class="sl-field">
-          <label>數量</label>
+          <label id="sl_qty_label">數量</label>
           <input id="sl_qty" class="sl-input" inputmode="decimal" />
         </div>
         <div class="sl-field">
-          <label>價格</label>
+          <label id="sl_price_label">價格</label>
           <input id="sl_price" class="sl-input" inputmode="decimal" />
         </div>
-        <div class="sl-field">
+        <div class="sl-field" id="sl_fee_field">
           <label>手續費</label>
           <input id="sl_fee" class="sl-input" inputmode="decimal" />
+          <button class="sl-btn" type="button" id="sl_recalc_fee" style="margin-top:8px;font-size:14px;padding:8px 10px;">依預設券商費率重算</button>
+        </div>
+        <div class="sl-field" id="sl_us_fee_field" hidden>
+          <div style="display:flex;gap:10px;">
+            <div style="flex:1;">
+              <label>SEC 規費</label>
+              <input id="sl_sec_fee" class="sl-input" inputmode="decimal" />
+            </div>
+            <div style="flex:1;">
+              <label>FINRA TAF</label>
+              <input id="sl_taf" class="sl-input" inputmode="decimal" />
+            </div>
+          </div>
+        </div>
+        <div class="sl-field" id="sl_amount_field" hidden>
+          <label>股利總額</label>
+          <input id="sl_amount" class="sl-input" inputmode="decimal" />
+        </div>
+        <div class="sl-field" id="sl_tax_field" hidden>
+          <label id="sl_tax_label">扣繳稅額／二代健保</label>
+          <input id="sl_tax" class="sl-input" inputmode="decimal" />
+        </div>
+        <div class="sl-field" id="sl_act_ratio_field" hidden>
+          <label>分割比例（每 1 股變成幾股，反分割填小數，如 0.1）</label>
+          <input id="sl_act_ratio" class="sl-input" inputmode="decimal" />
+        </div>
+        <div class="sl-field" id="sl_act_per1000_field" hidden>
+          <label id="sl_act_per1000_label">每千股配發股數</label>
+          <input id="sl_act_per1000" class="sl-input" inputmode="decimal" />
+        </div>
+        <div class="sl-field" id="sl_act_cash_field" hidden>
+          <label>每股退還現金</label>
+          <input id="sl_act_cash" class="sl-input" inputmode="decimal" />
+        </div>
+        <div class="sl-field" id="sl_lots_field" hidden>
+          <label>指定沖銷批次（填要賣出的股數；未指定的部分依 FIFO）</label>
+          <div id="sl_lots"></div>
         </div>
       </div>
       <div class="sl-hint" id="sl_hint"></div>
@@ -1584,16 +5873,74 @@ function getOrCreateTradeEditor(){
     backdrop,
     meta: backdrop.querySelector("#sl_meta"),
     hint: backdrop.querySelector("#sl_hint"),
+    account: backdrop.querySelector("#sl_account"),
     date: backdrop.querySelector("#sl_date"),
     time: backdrop.querySelector("#sl_time"),
     qty: backdrop.querySelector("#sl_qty"),
     price: backdrop.querySelector("#sl_price"),
     fee: backdrop.querySelector("#sl_fee"),
+    amount: backdrop.querySelector("#sl_amount"),
+    secFee: backdrop.querySelector("#sl_sec_fee"),
+    taf: backdrop.querySelector("#sl_taf"),
+    tax: backdrop.querySelector("#sl_tax"),
+    actRatio: backdrop.querySelector("#sl_act_ratio"),
+    actPer1000: backdrop.querySelector("#sl_act_per1000"),
+    actCash: backdrop.querySelector("#sl_act_cash"),
+    lots: backdrop.querySelector("#sl_lots"),
     onCancel: null,
     onSave: null,
     onDelete: null,
+    onRecalcFee: null,
     open(){ this.backdrop.style.display = "flex"; },
     close(){ this.backdrop.style.display = "none"; },
+    setMode(mode, market){
+      const isDiv = mode==="dividend";
+      const act = mode.startsWith("action:") ? mode.slice(7) : null;
+      const isUSTrade = mode==="trade" && market==="US";
+      backdrop.querySelector("#sl_account_field").hidden = !!act;
+      backdrop.querySelector("#sl_us_fee_field").hidden = !isUSTrade;
+      backdrop.querySelector("#sl_qty_label").textContent = isDiv ? "股數" : "數量";
+      backdrop.querySelector("#sl_price_label").textContent = isDiv ? "每股股利" : "價格";
+      backdrop.querySelector("#sl_qty").parentElement.hidden = !!act;
+      backdrop.querySelector("#sl_price").parentElement.hidden = !!act;
+      backdrop.querySelector("#sl_fee_field").hidden = isDiv || !!act;
+      backdrop.querySelector("#sl_amount_field").hidden = !isDiv;
+      backdrop.querySelector("#sl_tax_field").hidden = !!act || isUSTrade;
+      backdrop.querySelector("#sl_tax_label").textContent = isDiv ? "扣繳稅額／二代健保" : "交易稅";
+      backdrop.querySelector("#sl_fee_field label").textContent = isUSTrade ? "佣金" : "手續費";
+      backdrop.querySelector("#sl_act_ratio_field").hidden = act!=="SPLIT";
+      backdrop.querySelector("#sl_act_per1000_field").hidden = !(act==="STOCK_DIV" || act==="CAPRED");
+      backdrop.querySelector("#sl_act_per1000_label").textContent = act==="CAPRED" ? "每千股消除股數" : "每千股配發股數";
+      backdrop.querySelector("#sl_act_cash_field").hidden = act!=="CAPRED";
+    },
+    setAccounts(list, selected){
+      this.account.innerHTML = list.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)}</option>`).join("");
+      this.account.value = selected;
+    },
+    setLots(openLots, closes){
+      const field = backdrop.querySelector("#sl_lots_field");
+      field.hidden = !openLots;
+      this.lots.innerHTML = "";
+      if(!openLots) return;
+      if(openLots.length===0){
+        this.lots.innerHTML = `<div class="hint">這筆賣出之前沒有未沖銷的批次</div>`;
+        return;
+      }
+      for(const l of openLots){
+        const picked = (closes||[]).find(c => String(c.lot)===String(l.id));
+        const row = document.createElement("div");
+        row.style.cssText = "display:flex;gap:10px;align-items:center;margin-top:6px;";
+        row.innerHTML = `
+          <div style="flex:1;font-size:13px;line-height:1.4;">${String(l.ts).slice(0,10)}<br><span class="hint">剩 ${fmtInt(l.qty)} 股 @ ${fmtNum(l.qty>0 ? l.cost/l.qty : 0, 2)}</span></div>
+          <input class="sl-input" style="flex:1;height:44px;" inputmode="decimal" placeholder="0" />
+        `;
+        const inp = row.querySelector("input");
+        inp.dataset.lot = String(l.id);
+        inp.dataset.avail = String(l.qty);
+        inp.value = picked ? String(picked.qty) : "";
+        this.lots.appendChild(row);
+      }
+    },
   };
 
   function closeIfNeeded(){
@@ -1608,21 +5955,27 @@ function getOrCreateTradeEditor(){
   });
   btnSave.addEventListener("click", ()=>{ if(ui.onSave) ui.onSave(); });
   btnDelete.addEventListener("click", ()=>{ if(ui.onDelete) ui.onDelete(); });
+  backdrop.querySelector("#sl_recalc_fee").addEventListener("click", ()=>{ if(ui.onRecalcFee) ui.onRecalcFee(); });
 
   _tradeEditor = ui;
   return ui;
 }
 function deleteTradeById(id){
+  if(!ledgerWritable()) return;
   const tid = String(id||"").trim();
   if(!tid){ alert("刪除失敗：找不到交易 ID"); return; }
   const idx = ledger.lots.findIndex(x => x && String(x.id)===tid);
   if(idx<0){ alert("刪除失敗：此筆交易可能已不存在"); return; }
   const r = ledger.lots[idx];
-  const msg = `確定要刪除這筆交易？\n${r.market||""} ${r.symbol||""} ${r.type==="BUY"?"買":"賣"}\n${String(r.timestamp||"").slice(0,16)}  數量 ${fmtInt(r.qty)}  價格 ${fmtNum(r.price,2)}`;
+  const detail = r.type==="DIVIDEND"
+    ? `股利總額 ${fmtNum(dividendGross(r),2)}`
+    : (r.type==="ACTION" ? corporateActionLabel(r) : `數量 ${fmtInt(r.qty)}  價格 ${fmtNum(r.price,2)}`);
+  const msg = `確定要刪除這筆交易？\n${r.market||""} ${r.symbol||""} ${sideLabel(r.type)}\n${String(r.timestamp||"").slice(0,16)}  ${detail}`;
   if(!confirm(msg)) return;
 
   ledger.lots.splice(idx, 1);
   saveLedger(ledger);
+  logChange("delete", `刪除 ${recordLabel(r)}`, [{id: String(r.id), before: cloneRec(r), after: null}]);
 
   // refresh current query view if matches
   try{
@@ -1781,11 +6134,18 @@ try{
 (async ()=>{
   let restored = false;
   try{ restored = await hydrateFromIDBIfNeeded(); }catch(_){ }
+  try{ await persistLedgerMigration(); }catch(_){ }
   try{ applyAppVersionToTitle(); }catch(_){ }
+  if(ledgerTooNew) alert(ledgerTooNew + "\n\n為避免損壞資料，目前不會寫入任何變更。");
   try{ setDefaultDateTime(); }catch(_){ }
+  try{ renderFeeProfileOptions(); renderFeeSettings(); }catch(_){ }
+  try{ $("fx_date").value = formatDateYYYYMMDD(new Date()); }catch(_){ }
+  try{ await loadSymbolMaster(); renderSymbolDatalists(); syncSymbolInputs(); }catch(_){ }
   try{ refreshHoldings(); }catch(_){ }
   try{ updateHeaderStatus({restored}); }catch(_){ }
   try{ ensureCsvImportUI(); }catch(_){ }
   try{ ensureTodayPriceUI(); }catch(_){ }
   try{ renderBackupInfo(); }catch(_){ }
+  // opened from a watchlist notification
+  try{ if(location.hash==="#watch") setTab("watch"); }catch(_){ }
 })();
@@ -3,6 +3,7 @@ const ASSETS = [
   "./",
   "./index.html",
   "./app.js",
+  "./symbols.js",
   "./manifest.json",
   "./icons/icon-192.png",
   "./icons/icon-512.png",
@@ -23,3 +24,19 @@ self.addEventListener("fetch", (e)=> {
     }).catch(()=>cached))
   );
 });
+// watchlist alerts: focus an open window (it switches to the tab) or open the app on it
+self.addEventListener("notificationclick", (e)=> {
+  e.notification.close();
+  const tab = (e.notification.data && e.notification.data.tab) || "";
+  e.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then(list => {
+      for(const c of list){
+        if("focus" in c){
+          c.postMessage({ type: "open-tab", tab });
+          return c.focus();
+        }
+      }
+      return self.clients.openWindow("./index.html" + (tab ? "#" + tab : ""));
+    })
+  );
+});
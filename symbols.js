@@ -0,0 +1,204 @@
+// StockLedger PWA - bundled symbol directory (code → company name).
+// Loaded before app.js; a CSV imported under 備份/匯入 → 代號表 adds to / overrides these entries.
+// [market, symbol, name]; only a selection of common codes (TW: large TWSE / TPEx stocks and ETFs,
+// US: large stocks, ADRs and ETFs), not the full listings.
+const BUNDLED_SYMBOLS = [
+  // ---- TW: ETFs ----
+  ["TW","0050","元大台灣50"],
+  ["TW","0052","富邦科技"],
+  ["TW","0056","元大高股息"],
+  ["TW","006208","富邦台50"],
+  ["TW","00631L","元大台灣50正2"],
+  ["TW","00632R","元大台灣50反1"],
+  ["TW","00679B","元大美債20年"],
+  ["TW","00687B","國泰20年美債"],
+  ["TW","00692","富邦公司治理"],
+  ["TW","00713","元大台灣高息低波"],
+  ["TW","00878","國泰永續高股息"],
+  ["TW","00881","國泰台灣5G+"],
+  ["TW","00919","群益台灣精選高息"],
+  ["TW","00929","復華台灣科技優息"],
+  ["TW","00940","元大台灣價值高息"],
+
+  // ---- TW: TWSE ----
+  ["TW","1101","台泥"],
+  ["TW","1102","亞泥"],
+  ["TW","1216","統一"],
+  ["TW","1301","台塑"],
+  ["TW","1303","南亞"],
+  ["TW","1326","台化"],
+  ["TW","1402","遠東新"],
+  ["TW","1476","儒鴻"],
+  ["TW","1477","聚陽"],
+  ["TW","1590","亞德客-KY"],
+  ["TW","2002","中鋼"],
+  ["TW","2059","川湖"],
+  ["TW","2105","正新"],
+  ["TW","2201","裕隆"],
+  ["TW","2207","和泰車"],
+  ["TW","2301","光寶科"],
+  ["TW","2303","聯電"],
+  ["TW","2308","台達電"],
+  ["TW","2317","鴻海"],
+  ["TW","2324","仁寶"],
+  ["TW","2327","國巨"],
+  ["TW","2330","台積電"],
+  ["TW","2337","旺宏"],
+  ["TW","2344","華邦電"],
+  ["TW","2345","智邦"],
+  ["TW","2353","宏碁"],
+  ["TW","2356","英業達"],
+  ["TW","2357","華碩"],
+  ["TW","2368","金像電"],
+  ["TW","2376","技嘉"],
+  ["TW","2377","微星"],
+  ["TW","2379","瑞昱"],
+  ["TW","2382","廣達"],
+  ["TW","2383","台光電"],
+  ["TW","2395","研華"],
+  ["TW","2408","南亞科"],
+  ["TW","2409","友達"],
+  ["TW","2412","中華電"],
+  ["TW","2454","聯發科"],
+  ["TW","2474","可成"],
+  ["TW","2603","長榮"],
+  ["TW","2609","陽明"],
+  ["TW","2610","華航"],
+  ["TW","2615","萬海"],
+  ["TW","2618","長榮航"],
+  ["TW","2633","台灣高鐵"],
+  ["TW","2801","彰銀"],
+  ["TW","2834","臺企銀"],
+  ["TW","2880","華南金"],
+  ["TW","2881","富邦金"],
+  ["TW","2882","國泰金"],
+  ["TW","2884","玉山金"],
+  ["TW","2885","元大金"],
+  ["TW","2886","兆豐金"],
+  ["TW","2887","台新金"],
+  ["TW","2890","永豐金"],
+  ["TW","2891","中信金"],
+  ["TW","2892","第一金"],
+  ["TW","2912","統一超"],
+  ["TW","3008","大立光"],
+  ["TW","3017","奇鋐"],
+  ["TW","3034","聯詠"],
+  ["TW","3037","欣興"],
+  ["TW","3045","台灣大"],
+  ["TW","3231","緯創"],
+  ["TW","3443","創意"],
+  ["TW","3481","群創"],
+  ["TW","3661","世芯-KY"],
+  ["TW","3711","日月光投控"],
+  ["TW","4904","遠傳"],
+  ["TW","4966","譜瑞-KY"],
+  ["TW","5269","祥碩"],
+  ["TW","5871","中租-KY"],
+  ["TW","5876","上海商銀"],
+  ["TW","5880","合庫金"],
+  ["TW","6505","台塑化"],
+  ["TW","6669","緯穎"],
+  ["TW","9904","寶成"],
+  ["TW","9910","豐泰"],
+  ["TW","9921","巨大"],
+
+  // ---- TW: TPEx ----
+  ["TW","3105","穩懋"],
+  ["TW","3293","鈊象"],
+  ["TW","3324","雙鴻"],
+  ["TW","3529","力旺"],
+  ["TW","5274","信驊"],
+  ["TW","5347","世界"],
+  ["TW","5483","中美晶"],
+  ["TW","6274","台燿"],
+  ["TW","6488","環球晶"],
+  ["TW","8069","元太"],
+  ["TW","8299","群聯"],
+
+  // ---- US: stocks / ADRs ----
+  ["US","AAPL","Apple"],
+  ["US","ABBV","AbbVie"],
+  ["US","ABNB","Airbnb"],
+  ["US","ADBE","Adobe"],
+  ["US","AMAT","Applied Materials"],
+  ["US","AMD","Advanced Micro Devices"],
+  ["US","AMZN","Amazon.com"],
+  ["US","ARM","Arm Holdings ADR"],
+  ["US","ASML","ASML Holding ADR"],
+  ["US","AVGO","Broadcom"],
+  ["US","BA","Boeing"],
+  ["US","BAC","Bank of America"],
+  ["US","BRK.B","Berkshire Hathaway Class B"],
+  ["US","C","Citigroup"],
+  ["US","CAT","Caterpillar"],
+  ["US","COIN","Coinbase Global"],
+  ["US","COST","Costco Wholesale"],
+  ["US","CRM","Salesforce"],
+  ["US","CSCO","Cisco Systems"],
+  ["US","CVX","Chevron"],
+  ["US","DELL","Dell Technologies"],
+  ["US","DIS","Walt Disney"],
+  ["US","GOOG","Alphabet Class C"],
+  ["US","GOOGL","Alphabet Class A"],
+  ["US","GS","Goldman Sachs"],
+  ["US","HD","Home Depot"],
+  ["US","IBM","IBM"],
+  ["US","INTC","Intel"],
+  ["US","JNJ","Johnson & Johnson"],
+  ["US","JPM","JPMorgan Chase"],
+  ["US","KLAC","KLA"],
+  ["US","KO","Coca-Cola"],
+  ["US","LLY","Eli Lilly"],
+  ["US","LRCX","Lam Research"],
+  ["US","MA","Mastercard"],
+  ["US","MCD","McDonald's"],
+  ["US","META","Meta Platforms"],
+  ["US","MRK","Merck & Co."],
+  ["US","MS","Morgan Stanley"],
+  ["US","MSFT","Microsoft"],
+  ["US","MU","Micron Technology"],
+  ["US","NFLX","Netflix"],
+  ["US","NKE","Nike"],
+  ["US","NVDA","NVIDIA"],
+  ["US","ORCL","Oracle"],
+  ["US","PEP","PepsiCo"],
+  ["US","PFE","Pfizer"],
+  ["US","PG","Procter & Gamble"],
+  ["US","PLTR","Palantir Technologies"],
+  ["US","PYPL","PayPal"],
+  ["US","QCOM","Qualcomm"],
+  ["US","SBUX","Starbucks"],
+  ["US","SHOP","Shopify"],
+  ["US","SMCI","Super Micro Computer"],
+  ["US","T","AT&T"],
+  ["US","TSLA","Tesla"],
+  ["US","TSM","Taiwan Semiconductor ADR"],
+  ["US","TXN","Texas Instruments"],
+  ["US","UBER","Uber Technologies"],
+  ["US","UNH","UnitedHealth Group"],
+  ["US","V","Visa"],
+  ["US","VZ","Verizon"],
+  ["US","WFC","Wells Fargo"],
+  ["US","WMT","Walmart"],
+  ["US","XOM","Exxon Mobil"],
+
+  // ---- US: ETFs ----
+  ["US","ARKK","ARK Innovation ETF"],
+  ["US","BND","Vanguard Total Bond Market ETF"],
+  ["US","DIA","SPDR Dow Jones Industrial Average ETF"],
+  ["US","GLD","SPDR Gold Shares"],
+  ["US","IVV","iShares Core S&P 500 ETF"],
+  ["US","IWM","iShares Russell 2000 ETF"],
+  ["US","QQQ","Invesco QQQ Trust"],
+  ["US","SCHD","Schwab U.S. Dividend Equity ETF"],
+  ["US","SMH","VanEck Semiconductor ETF"],
+  ["US","SOXX","iShares Semiconductor ETF"],
+  ["US","SPY","SPDR S&P 500 ETF Trust"],
+  ["US","TLT","iShares 20+ Year Treasury Bond ETF"],
+  ["US","VIG","Vanguard Dividend Appreciation ETF"],
+  ["US","VOO","Vanguard S&P 500 ETF"],
+  ["US","VT","Vanguard Total World Stock ETF"],
+  ["US","VTI","Vanguard Total Stock Market ETF"],
+  ["US","VXUS","Vanguard Total International Stock ETF"],
+  ["US","VYM","Vanguard High Dividend Yield ETF"],
+];